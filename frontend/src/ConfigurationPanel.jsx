@@ -7,6 +7,17 @@ const ConfigurationPanel = ({
   setSelector,
   device,
   setDevice,
+  devices,
+  deviceScaleFactor,
+  setDeviceScaleFactor,
+  colorScheme,
+  setColorScheme,
+  mediaType,
+  setMediaType,
+  reducedMotion,
+  setReducedMotion,
+  forcedColors,
+  setForcedColors,
   delay,
   setDelay,
   fullPage,
@@ -26,11 +37,25 @@ const ConfigurationPanel = ({
   onCapture,
   onClear
 }) => {
-  const DEVICE_VIEWPORTS = {
-    mobile: { width: 375, height: 667, label: 'Mobile (375×667)' },
-    tablet: { width: 768, height: 1024, label: 'Tablet (768×1024)' },
-    desktop: { width: 1920, height: 1080, label: 'Desktop (1920×1080)' },
-  };
+  const PIXEL_RATIOS = [1, 2, 3];
+
+  const COLOR_SCHEMES = [
+    { value: '', label: 'Page default' },
+    { value: 'light', label: 'Light' },
+    { value: 'dark', label: 'Dark' },
+  ];
+
+  const MEDIA_TYPES = [
+    { value: '', label: 'Screen' },
+    { value: 'print', label: 'Print' },
+  ];
+
+  // Generic presets have no user agent; everything else emulates a real device
+  const genericDevices = devices.filter((d) => !d.userAgent);
+  const emulatedDevices = devices.filter((d) => d.userAgent);
+
+  const deviceLabel = (d) =>
+    `${d.name} (${d.width}×${d.height}${d.deviceScaleFactor !== 1 ? ` @${d.deviceScaleFactor}x` : ''})`;
 
   const EXAMPLE_SITES = [
     { name: 'GitHub Header', url: 'https://github.com', selector: '.Header' },
@@ -173,8 +198,34 @@ const ConfigurationPanel = ({
               disabled={customViewport}
               className="w-full px-4 py-3 border border-slate-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white disabled:bg-slate-50 disabled:text-slate-500"
             >
-              {Object.entries(DEVICE_VIEWPORTS).map(([key, config]) => (
-                <option key={key} value={key}>{config.label}</option>
+              <optgroup label="Generic">
+                {genericDevices.map((d) => (
+                  <option key={d.id} value={d.id}>{deviceLabel(d)}</option>
+                ))}
+              </optgroup>
+              {emulatedDevices.length > 0 && (
+                <optgroup label="Phones & Tablets">
+                  {emulatedDevices.map((d) => (
+                    <option key={d.id} value={d.id}>{deviceLabel(d)}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="deviceScaleFactor" className="block text-sm font-medium text-slate-700 mb-2">
+              Pixel Ratio
+            </label>
+            <select
+              id="deviceScaleFactor"
+              value={deviceScaleFactor}
+              onChange={(e) => setDeviceScaleFactor(e.target.value)}
+              className="w-full px-4 py-3 border border-slate-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white"
+            >
+              <option value="">Device default</option>
+              {PIXEL_RATIOS.map((ratio) => (
+                <option key={ratio} value={ratio}>{ratio}x{ratio > 1 ? ' (retina)' : ''}</option>
               ))}
             </select>
           </div>
@@ -242,6 +293,62 @@ const ConfigurationPanel = ({
           )}
         </div>
 
+        {/* Media Emulation */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="colorScheme" className="block text-sm font-medium text-slate-700 mb-2">
+              Color Scheme
+            </label>
+            <select
+              id="colorScheme"
+              value={colorScheme}
+              onChange={(e) => setColorScheme(e.target.value)}
+              className="w-full px-4 py-3 border border-slate-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white"
+            >
+              {COLOR_SCHEMES.map((scheme) => (
+                <option key={scheme.value} value={scheme.value}>{scheme.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="mediaType" className="block text-sm font-medium text-slate-700 mb-2">
+              Media Type
+            </label>
+            <select
+              id="mediaType"
+              value={mediaType}
+              onChange={(e) => setMediaType(e.target.value)}
+              className="w-full px-4 py-3 border border-slate-300 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white"
+            >
+              {MEDIA_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-3">
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={reducedMotion}
+              onChange={(e) => setReducedMotion(e.target.checked)}
+              className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+            />
+            <span className="text-sm font-medium text-slate-700">Reduce motion</span>
+          </label>
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={forcedColors}
+              onChange={(e) => setForcedColors(e.target.checked)}
+              className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+            />
+            <span className="text-sm font-medium text-slate-700">Forced colors (high contrast)</span>
+          </label>
+        </div>
+
         {/* Error Display */}
         {error && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
@@ -6,6 +6,8 @@ const ResultPanel = ({
   image,
   images,
   device,
+  devices,
+  deviceScaleFactor,
   customViewport,
   viewportWidth,
   viewportHeight,
@@ -14,17 +16,18 @@ const ResultPanel = ({
   onDownload,
   onDownloadAll
 }) => {
-  const DEVICE_VIEWPORTS = {
-    mobile: { width: 375, height: 667, label: 'Mobile (375×667)' },
-    tablet: { width: 768, height: 1024, label: 'Tablet (768×1024)' },
-    desktop: { width: 1920, height: 1080, label: 'Desktop (1920×1080)' },
-  };
-
   const getViewportLabel = () => {
+    const selected = devices.find((d) => d.id === device);
+    const ratio = deviceScaleFactor || selected?.deviceScaleFactor || 1;
+    const suffix = ratio !== 1 ? ` @${ratio}x` : '';
+
     if (customViewport) {
-      return `${viewportWidth}×${viewportHeight}`;
+      return `${viewportWidth}×${viewportHeight}${suffix}`;
+    }
+    if (!selected) {
+      return 'Desktop (1920×1080)';
     }
-    return DEVICE_VIEWPORTS[device]?.label || 'Desktop (1920×1080)';
+    return `${selected.name} (${selected.width}×${selected.height}${suffix})`;
   };
 
   return (
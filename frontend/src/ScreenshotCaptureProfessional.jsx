@@ -4,11 +4,25 @@ import ConfigurationPanel from './ConfigurationPanel';
 import ResultPanel from './ResultPanel';
 import Footer from './Footer';
 
+// Used until the device catalog has loaded from GET /devices
+const DEFAULT_DEVICES = [
+  { id: 'desktop', name: 'Desktop', width: 1920, height: 1080, deviceScaleFactor: 1, userAgent: null },
+  { id: 'laptop', name: 'Laptop', width: 1366, height: 768, deviceScaleFactor: 1, userAgent: null },
+  { id: 'tablet', name: 'Tablet', width: 768, height: 1024, deviceScaleFactor: 1, userAgent: null },
+  { id: 'mobile', name: 'Mobile', width: 375, height: 667, deviceScaleFactor: 1, userAgent: null },
+];
+
 const ScreenshotCaptureProfessional = () => {
   // State management
   const [url, setUrl] = useState('https://github.com');
   const [selector, setSelector] = useState('.Header');
   const [device, setDevice] = useState('desktop');
+  const [devices, setDevices] = useState(DEFAULT_DEVICES);
+  const [deviceScaleFactor, setDeviceScaleFactor] = useState('');
+  const [colorScheme, setColorScheme] = useState('');
+  const [mediaType, setMediaType] = useState('');
+  const [reducedMotion, setReducedMotion] = useState(false);
+  const [forcedColors, setForcedColors] = useState(false);
   const [delay, setDelay] = useState(0);
   const [image, setImage] = useState(null);
   const [images, setImages] = useState([]);
@@ -31,6 +45,18 @@ const ScreenshotCaptureProfessional = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // Load the device catalog once
+  useEffect(() => {
+    fetch('/devices')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data && Array.isArray(data.devices) && data.devices.length > 0) {
+          setDevices(data.devices);
+        }
+      })
+      .catch(() => {});
+  }, []);
+
   const checkApiHealth = async () => {
     try {
       const response = await fetch('/api/../health');
@@ -80,6 +106,24 @@ const ScreenshotCaptureProfessional = () => {
         requestBody.selector = selectorData;
       }
 
+      if (deviceScaleFactor) {
+        requestBody.deviceScaleFactor = Number(deviceScaleFactor);
+      }
+
+      // Media emulation, only sent when changed from the page's defaults
+      if (colorScheme) {
+        requestBody.colorScheme = colorScheme;
+      }
+      if (mediaType) {
+        requestBody.media = mediaType;
+      }
+      if (reducedMotion) {
+        requestBody.reducedMotion = 'reduce';
+      }
+      if (forcedColors) {
+        requestBody.forcedColors = 'active';
+      }
+
       // Add custom viewport if enabled
       if (customViewport) {
         requestBody.viewportWidth = parseInt(viewportWidth);
@@ -144,6 +188,11 @@ const ScreenshotCaptureProfessional = () => {
     setImages([]);
     setFullPage(false);
     setCustomViewport(false);
+    setDeviceScaleFactor('');
+    setColorScheme('');
+    setMediaType('');
+    setReducedMotion(false);
+    setForcedColors(false);
     setMultipleSelectors(false);
   };
 
@@ -160,6 +209,17 @@ const ScreenshotCaptureProfessional = () => {
             setSelector={setSelector}
             device={device}
             setDevice={setDevice}
+            devices={devices}
+            deviceScaleFactor={deviceScaleFactor}
+            setDeviceScaleFactor={setDeviceScaleFactor}
+            colorScheme={colorScheme}
+            setColorScheme={setColorScheme}
+            mediaType={mediaType}
+            setMediaType={setMediaType}
+            reducedMotion={reducedMotion}
+            setReducedMotion={setReducedMotion}
+            forcedColors={forcedColors}
+            setForcedColors={setForcedColors}
             delay={delay}
             setDelay={setDelay}
             fullPage={fullPage}
@@ -185,6 +245,8 @@ const ScreenshotCaptureProfessional = () => {
             image={image}
             images={images}
             device={device}
+            devices={devices}
+            deviceScaleFactor={deviceScaleFactor}
             customViewport={customViewport}
             viewportWidth={viewportWidth}
             viewportHeight={viewportHeight}
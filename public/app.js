@@ -190,8 +190,16 @@ class ScreenshotAPI {
         statusBadge.className = 'badge bg-danger status-badge';
     }
 
+    getImageUrl(result) {
+        // Download links are signed, so prefer the URL returned by the API
+        if (result.url) {
+            return /^https?:\/\//.test(result.url) ? result.url : `${this.apiBase}${result.url}`;
+        }
+        return `${this.apiBase}/screenshots/${result.filename}`;
+    }
+
     displayResult(result, requestData) {
-        this.currentImageUrl = `${this.apiBase}/screenshots/${result.filename}`;
+        this.currentImageUrl = this.getImageUrl(result);
         
         document.getElementById('imageContainer').innerHTML = `
             <img src="${this.currentImageUrl}" class="result-image" alt="Screenshot">
@@ -445,7 +453,7 @@ function loadHistoryItem(index) {
     const item = window.screenshotAPI.history[index];
     if (item) {
         window.screenshotAPI.displayResult(item, item.requestData);
-        window.screenshotAPI.currentImageUrl = `${window.screenshotAPI.apiBase}/screenshots/${item.filename}`;
+        window.screenshotAPI.currentImageUrl = window.screenshotAPI.getImageUrl(item);
     }
 }
 
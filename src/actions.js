@@ -0,0 +1,202 @@
+/**
+ * Pre-capture Actions
+ * Runs scripted interaction steps (click, type, wait...) so elements that
+ * only appear after interaction can be captured
+ */
+
+const { toQuerySelector } = require('./selectors');
+
+// Required fields per action type
+const ACTION_TYPES = {
+  click: ['selector'],
+  hover: ['selector'],
+  focus: ['selector'],
+  type: ['selector', 'text'],
+  fill: ['selector', 'value'],
+  press: ['key'],
+  select: ['selector', 'values'],
+  scroll: [],
+  waitForSelector: ['selector'],
+  waitForTimeout: ['ms'],
+  waitForFunction: ['expression']
+};
+
+const MAX_ACTIONS = 50;
+const MAX_WAIT_MS = 60000;
+
+/**
+ * Validate an actions array
+ * @param {array} actions - Action steps
+ * @returns {array} Error messages
+ */
+function validateActions(actions) {
+  if (actions === undefined) return [];
+
+  if (!Array.isArray(actions)) {
+    return ['actions must be an array'];
+  }
+
+  if (actions.length > MAX_ACTIONS) {
+    return [`actions may contain at most ${MAX_ACTIONS} steps`];
+  }
+
+  const errors = [];
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== 'object' || !ACTION_TYPES[action.type]) {
+      errors.push(`actions[${index}].type must be one of: ${Object.keys(ACTION_TYPES).join(', ')}`);
+      return;
+    }
+
+    const missing = ACTION_TYPES[action.type].filter(field => action[field] === undefined);
+    if (missing.length > 0) {
+      errors.push(`actions[${index}] (${action.type}) requires ${missing.join(', ')}`);
+    }
+
+    // Puppeteer treats a timeout of 0 as no timeout at all
+    if (action.timeout !== undefined && (typeof action.timeout !== 'number' || action.timeout < 1 || action.timeout > MAX_WAIT_MS)) {
+      errors.push(`actions[${index}].timeout must be between 1 and ${MAX_WAIT_MS}ms`);
+    }
+
+    if (action.type === 'waitForTimeout' && (typeof action.ms !== 'number' || action.ms < 0 || action.ms > MAX_WAIT_MS)) {
+      errors.push(`actions[${index}].ms must be between 0 and ${MAX_WAIT_MS}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Whether any action evaluates code in the page (blocked by strict CSPs)
+ * @param {array} actions - Action steps
+ * @returns {boolean} True if a waitForFunction step is present
+ */
+function usesPageFunctions(actions = []) {
+  return Array.isArray(actions) && actions.some(action => action && action.type === 'waitForFunction');
+}
+
+/**
+ * Wait for an action's selector and return its element
+ * @param {object} page - Puppeteer page object
+ * @param {object} action - Action step
+ * @param {number} timeout - Step timeout in milliseconds
+ * @returns {Promise<object>} Element handle
+ */
+async function waitForTarget(page, action, timeout) {
+  const element = await page.waitForSelector(toQuerySelector(action.selector), { visible: true, timeout });
+  if (!element) {
+    throw new Error(`Element not found: ${action.selector}`);
+  }
+  return element;
+}
+
+/**
+ * Run a single action step
+ * @param {object} page - Puppeteer page object
+ * @param {object} action - Action step
+ * @param {number} timeout - Step timeout in milliseconds
+ */
+async function runAction(page, action, timeout) {
+  switch (action.type) {
+    case 'click': {
+      const element = await waitForTarget(page, action, timeout);
+      await element.click({ button: action.button || 'left', clickCount: action.clickCount || 1 });
+      break;
+    }
+    case 'hover': {
+      const element = await waitForTarget(page, action, timeout);
+      await element.hover();
+      break;
+    }
+    case 'focus': {
+      const element = await waitForTarget(page, action, timeout);
+      await element.focus();
+      break;
+    }
+    case 'type': {
+      const element = await waitForTarget(page, action, timeout);
+      if (action.clear) {
+        await element.click({ clickCount: 3 });
+        await page.keyboard.press('Backspace');
+      }
+      await element.type(String(action.text), { delay: action.delay || 0 });
+      break;
+    }
+    case 'fill': {
+      // Replace the field's value, firing the key events frameworks listen for
+      const element = await waitForTarget(page, action, timeout);
+      await element.evaluate(node => {
+        node.value = '';
+      });
+      await element.type(String(action.value));
+      break;
+    }
+    case 'press': {
+      if (action.selector) {
+        const element = await waitForTarget(page, action, timeout);
+        await element.press(action.key);
+      } else {
+        await page.keyboard.press(action.key);
+      }
+      break;
+    }
+    case 'select': {
+      const element = await waitForTarget(page, action, timeout);
+      const values = Array.isArray(action.values) ? action.values : [action.values];
+      await element.select(...values.map(String));
+      break;
+    }
+    case 'scroll': {
+      if (action.selector) {
+        const element = await waitForTarget(page, action, timeout);
+        await element.evaluate(node => node.scrollIntoView({ block: 'center' }));
+      } else {
+        await page.evaluate((x, y) => window.scrollTo(x, y), action.x || 0, action.y || 0);
+      }
+      break;
+    }
+    case 'waitForSelector':
+      await page.waitForSelector(toQuerySelector(action.selector), {
+        visible: Boolean(action.visible),
+        hidden: Boolean(action.hidden),
+        timeout
+      });
+      break;
+    case 'waitForTimeout':
+      await page.waitForTimeout(action.ms);
+      break;
+    case 'waitForFunction':
+      await page.waitForFunction(action.expression, { polling: action.polling || 'raf', timeout });
+      break;
+  }
+}
+
+/**
+ * Run action steps in order
+ * @param {object} page - Puppeteer page object
+ * @param {array} actions - Action steps
+ * @param {number} defaultTimeout - Timeout for steps without their own
+ * @throws {Error} Naming the index and type of the step that failed
+ */
+async function runActions(page, actions = [], defaultTimeout = 30000) {
+  for (let i = 0; i < actions.length; i++) {
+    const action = actions[i];
+    const timeout = action.timeout !== undefined ? action.timeout : defaultTimeout;
+
+    console.log(`🖱️ Action ${i + 1}/${actions.length}: ${action.type}${action.selector ? ` ${action.selector}` : ''}`);
+
+    try {
+      await runAction(page, action, timeout);
+    } catch (error) {
+      const failure = new Error(`actions[${i}] (${action.type}) failed: ${error.message}`);
+      failure.actionIndex = i;
+      throw failure;
+    }
+  }
+}
+
+module.exports = {
+  validateActions,
+  usesPageFunctions,
+  runActions
+};
@@ -0,0 +1,205 @@
+/**
+ * API Key Store
+ * Persists hashed API keys with labels, scopes, expiry and revocation
+ */
+
+const crypto = require('crypto');
+
+const SCOPES = ['capture', 'read', 'admin'];
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an API key store
+ * @param {object} options - Store options
+ * @param {object} options.store - JSON store used to persist keys
+ * @param {function} options.generateKey - Generates new plaintext keys
+ * @returns {object} Store with create, authenticate, list, get and revoke methods
+ */
+function createApiKeyStore(options = {}) {
+  const { store, generateKey } = options;
+
+  if (!store || typeof generateKey !== 'function') {
+    throw new Error('API key store requires a store and a key generator');
+  }
+
+  if (!store.data.keys) {
+    store.data.keys = {};
+  }
+
+  /**
+   * Remove the hash from a key record
+   * @param {object} record - Stored key record
+   * @returns {object} Public key record
+   */
+  function toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Create a new API key
+   * @param {object} params - Key settings
+   * @param {string} params.label - Human readable label
+   * @param {array} params.scopes - Granted scopes
+   * @param {string} params.expiresAt - ISO expiry date (optional)
+   * @param {object} params.quotas - Per-key quotas overriding the defaults (optional)
+   * @param {object} params.urlPolicy - Per-key allowlist and denylist for target URLs (optional)
+   * @returns {object} Plaintext key (shown once) and public record
+   */
+  function create({ label, scopes = ['capture', 'read'], expiresAt = null, quotas = {}, urlPolicy = null }) {
+    const key = generateKey();
+    const record = {
+      id: crypto.randomUUID(),
+      label,
+      prefix: key.substring(0, 6),
+      hash: hashApiKey(key),
+      scopes,
+      quotas,
+      urlPolicy,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      revoked: false,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    store.data.keys[record.id] = record;
+    store.save();
+
+    return { key, record: toPublic(record) };
+  }
+
+  /**
+   * Explain why a key can no longer be used
+   * @param {object} record - Stored key record
+   * @returns {string|null} Reason, or null if the key is active
+   */
+  function getInactiveReason(record) {
+    if (record.revoked) {
+      return 'API key has been revoked';
+    }
+
+    if (record.expiresAt && new Date(record.expiresAt).getTime() < Date.now()) {
+      return 'API key has expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up the record for a plaintext key
+   * @param {string} key - Plaintext API key
+   * @returns {object} Result with the public record, or a reason it was rejected
+   */
+  function authenticate(key) {
+    const hash = hashApiKey(key);
+    const record = Object.values(store.data.keys).find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), Buffer.from(hash, 'hex'))
+    );
+
+    if (!record) {
+      return { record: null, reason: 'Invalid API key' };
+    }
+
+    const reason = getInactiveReason(record);
+    if (reason) {
+      return { record: null, reason };
+    }
+
+    // Only persist last use at most once a minute
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > 60 * 1000) {
+      record.lastUsedAt = new Date(now).toISOString();
+      store.save();
+    }
+
+    return { record: toPublic(record) };
+  }
+
+  /**
+   * List all keys
+   * @returns {array} Public key records, newest first
+   */
+  function list() {
+    return Object.values(store.data.keys)
+      .map(toPublic)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id - Key ID
+   * @returns {object|null} Public key record
+   */
+  function get(id) {
+    const record = store.data.keys[id];
+    return record ? toPublic(record) : null;
+  }
+
+  /**
+   * Get a key by ID if it still exists and is neither revoked nor expired
+   * @param {string} id - Key ID
+   * @returns {object} Result with the public record, or a reason it was rejected
+   */
+  function getActive(id) {
+    const record = store.data.keys[id];
+    if (!record) {
+      return { record: null, reason: 'API key no longer exists' };
+    }
+
+    const reason = getInactiveReason(record);
+    return reason ? { record: null, reason } : { record: toPublic(record) };
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key ID
+   * @returns {object|null} Public key record, or null if not found
+   */
+  function revoke(id) {
+    const record = store.data.keys[id];
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revoked) {
+      record.revoked = true;
+      record.revokedAt = new Date().toISOString();
+      store.save();
+    }
+
+    return toPublic(record);
+  }
+
+  /**
+   * Whether any key has been created
+   * @returns {boolean} True if the store holds keys
+   */
+  function hasKeys() {
+    return Object.keys(store.data.keys).length > 0;
+  }
+
+  return {
+    create,
+    authenticate,
+    list,
+    get,
+    getActive,
+    revoke,
+    hasKeys
+  };
+}
+
+module.exports = {
+  SCOPES,
+  hashApiKey,
+  createApiKeyStore
+};
@@ -3,6 +3,32 @@
  * Validates bearer token from Authorization header
  */
 
+const crypto = require('crypto');
+const { verifyParams } = require('./signing');
+const { SCOPES } = require('./apiKeys');
+const { createMemoryStore } = require('./rateLimit/memoryStore');
+
+// Key store for issued API keys, set by the server at startup
+let apiKeyStore = null;
+
+/**
+ * Use the given store to authenticate issued API keys
+ * @param {object} store - Store created by createApiKeyStore
+ */
+function setApiKeyStore(store) {
+  apiKeyStore = store;
+}
+
+/**
+ * Extract the bearer token from a request
+ * @param {object} req - Express request object
+ * @returns {string|undefined} Token, if a Bearer Authorization header is present
+ */
+function getBearerToken(req) {
+  const parts = (req.headers.authorization || '').split(' ');
+  return parts.length === 2 && parts[0] === 'Bearer' ? parts[1] : undefined;
+}
+
 /**
  * Check API key middleware
  * @param {object} req - Express request object
@@ -31,8 +57,9 @@ function checkApiKey(req, res, next) {
 
     const userKey = parts[1];
     const validApiKey = process.env.API_KEY;
+    const hasIssuedKeys = apiKeyStore && apiKeyStore.hasKeys();
 
-    if (!validApiKey) {
+    if (!validApiKey && !hasIssuedKeys) {
       console.error('API_KEY not configured in environment variables');
       return res.status(500).json({
         error: 'Server Configuration Error',
@@ -40,13 +67,26 @@ function checkApiKey(req, res, next) {
       });
     }
 
-    if (userKey !== validApiKey) {
+    // The API_KEY environment variable acts as the bootstrap admin key
+    if (validApiKey && userKey === validApiKey) {
+      req.apiKey = {
+        id: 'env',
+        label: 'API_KEY environment variable',
+        scopes: [...SCOPES]
+      };
+      return next();
+    }
+
+    const { record, reason } = hasIssuedKeys ? apiKeyStore.authenticate(userKey) : { reason: 'Invalid API key' };
+    if (!record) {
       return res.status(401).json({
         error: 'Unauthorized',
-        message: 'Invalid API key'
+        message: reason
       });
     }
 
+    req.apiKey = record;
+
     // API key is valid, proceed to next middleware
     next();
 
@@ -70,6 +110,7 @@ function optionalApiKey(req, res, next) {
   
   // If no auth header, proceed without validation
   if (!authHeader) {
+    req.anonymous = true;
     return next();
   }
 
@@ -77,6 +118,94 @@ function optionalApiKey(req, res, next) {
   return checkApiKey(req, res, next);
 }
 
+/**
+ * Require a verified API key, even when authentication is optional
+ * For routes whose data would otherwise be shared by every anonymous caller.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function requireApiKey(req, res, next) {
+  if (!req.apiKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'This endpoint requires an API key'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require the authenticated key to hold a scope
+ * Anonymous requests let through by optionalApiKey are not restricted.
+ * @param {string} scope - Required scope (capture, read or admin)
+ * @returns {function} Express middleware
+ */
+function requireScope(scope) {
+  return function scopeMiddleware(req, res, next) {
+    if (req.anonymous || req.signedUrl) {
+      return next();
+    }
+
+    if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key is missing the '${scope}' scope`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check that the key a signed URL was minted with can still be used
+ * @param {string} keyId - Key ID from the signed query string
+ * @returns {string|null} Reason the key is rejected, or null if it is active
+ */
+function getSignerRejection(keyId) {
+  if (keyId === 'env') {
+    return process.env.API_KEY ? null : 'API key no longer exists';
+  }
+
+  return apiKeyStore ? apiKeyStore.getActive(keyId).reason || null : 'API key no longer exists';
+}
+
+/**
+ * Accept either a signed query string or the regular API key check
+ * URLs minted by a key stop working once that key is revoked, expires or is deleted.
+ * @param {string} secret - URL signing secret
+ * @param {function} fallback - Middleware used when no token is present
+ * @returns {function} Express middleware
+ */
+function signedUrlOrApiKey(secret, fallback) {
+  return function signedUrlMiddleware(req, res, next) {
+    if (!req.query.token) {
+      return fallback(req, res, next);
+    }
+
+    const verification = verifyParams(req.query, secret);
+    if (!verification.valid) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: verification.reason
+      });
+    }
+
+    const signerRejection = req.query.key ? getSignerRejection(req.query.key) : null;
+    if (signerRejection) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Signed URL is no longer valid: ${signerRejection}`
+      });
+    }
+
+    req.signedUrl = verification;
+    next();
+  };
+}
+
 /**
  * Generate a new API key (utility function)
  * @param {number} length - Length of the API key
@@ -87,48 +216,63 @@ function generateApiKey(length = 32) {
   let result = '';
   
   for (let i = 0; i < length; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length));
+    result += characters.charAt(crypto.randomInt(characters.length));
   }
   
   return result;
 }
 
 /**
- * Rate limiting by API key (basic implementation)
- * @param {number} maxRequests - Maximum requests per window
+ * Rate limiting by API key or, for anonymous callers, client IP
+ * Run it after the auth middleware so issued keys are limited by key ID.
+ * @param {number} maxRequests - Maximum requests per window for API keys
  * @param {number} windowMs - Time window in milliseconds
+ * @param {object} options - Limiter options
+ * @param {object} options.store - Rate limit store (defaults to in-memory)
+ * @param {number} options.anonymousMax - Maximum requests per window per IP without a key
  */
-function createRateLimiter(maxRequests = 100, windowMs = 15 * 60 * 1000) {
-  const requests = new Map();
+function createRateLimiter(maxRequests = 100, windowMs = 15 * 60 * 1000, options = {}) {
+  const store = options.store || createMemoryStore();
+  const anonymousMax = options.anonymousMax || maxRequests;
 
-  return function rateLimitMiddleware(req, res, next) {
-    const apiKey = req.headers.authorization?.split(' ')[1];
-    const now = Date.now();
-    
-    if (!apiKey) {
-      return next(); // Skip rate limiting if no API key
+  return async function rateLimitMiddleware(req, res, next) {
+    let key;
+    let limit = maxRequests;
+
+    // Only verified keys get their own bucket; unverified bearer tokens are
+    // free to mint, so they share the client IP's anonymous bucket
+    if (req.apiKey) {
+      key = `key:${req.apiKey.id}`;
+    } else {
+      // req.ip honours the 'trust proxy' setting
+      key = `ip:${req.ip}`;
+      limit = anonymousMax;
     }
 
-    if (!requests.has(apiKey)) {
-      requests.set(apiKey, []);
+    let result;
+    try {
+      result = await store.consume(key, limit, windowMs);
+    } catch (error) {
+      // Fail open rather than taking the API down with the store
+      console.error('Rate limit store error:', error.message);
+      return next();
     }
 
-    const userRequests = requests.get(apiKey);
-    
-    // Remove old requests outside the window
-    const validRequests = userRequests.filter(timestamp => now - timestamp < windowMs);
-    requests.set(apiKey, validRequests);
+    const now = Date.now();
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.set('X-RateLimit-Reset', String(Math.ceil((now + result.resetMs) / 1000)));
 
-    if (validRequests.length >= maxRequests) {
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.resetMs / 1000));
+      res.set('Retry-After', String(retryAfter));
       return res.status(429).json({
         error: 'Rate Limit Exceeded',
-        message: `Too many requests. Limit: ${maxRequests} per ${windowMs / 1000} seconds`,
-        retryAfter: Math.ceil(windowMs / 1000)
+        message: `Too many requests. Limit: ${limit} per ${windowMs / 1000} seconds`,
+        retryAfter
       });
     }
 
-    // Add current request
-    validRequests.push(now);
     next();
   };
 }
@@ -136,6 +280,11 @@ function createRateLimiter(maxRequests = 100, windowMs = 15 * 60 * 1000) {
 module.exports = {
   checkApiKey,
   optionalApiKey,
+  getBearerToken,
+  requireApiKey,
+  requireScope,
+  setApiKeyStore,
+  signedUrlOrApiKey,
   generateApiKey,
   createRateLimiter
 };
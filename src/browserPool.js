@@ -0,0 +1,520 @@
+/**
+ * Browser Pool
+ * Keeps a set of warm Chromium instances and hands out pages from them,
+ * recycling browsers after a number of pages or when they crash. Each page
+ * gets its own incognito context so cookies, storage, cache and permission
+ * grants never carry over between captures. Captures with a URL policy send
+ * their traffic through an egress proxy that enforces it at connect time.
+ */
+
+const puppeteer = require('puppeteer');
+const { createEgressProxy } = require('./egressProxy');
+
+// Chromium sends loopback traffic around the proxy unless told otherwise
+const PROXY_BYPASS_LIST = ['<-loopback>'];
+
+/**
+ * Create a managed pool of browsers
+ * @param {object} options - Pool options
+ * @param {number} options.size - Maximum number of browsers kept alive
+ * @param {number} options.maxPagesPerBrowser - Concurrent pages allowed per browser
+ * @param {number} options.recycleAfter - Retire a browser after this many pages
+ * @param {number} options.acquireTimeout - Max time to wait for a free page in ms
+ * @param {number} options.profileIdleTimeout - Close a profile's browser after this long unused in ms
+ * @param {object} options.launchOptions - Puppeteer launch options
+ * @returns {object} Pool with acquirePage, closeProfile, getStats and shutdown methods
+ */
+function createBrowserPool(options = {}) {
+  const settings = {
+    size: 2,
+    maxPagesPerBrowser: 4,
+    recycleAfter: 100,
+    acquireTimeout: 30000,
+    profileIdleTimeout: 5 * 60 * 1000,
+    launchOptions: { headless: true },
+    ...options
+  };
+
+  const browsers = [];
+  const waiting = [];
+  // Dedicated browsers for persistent profiles, by profile ID
+  const profileBrowsers = new Map();
+  let nextId = 1;
+  let launching = 0;
+  let closed = false;
+
+  const totals = {
+    launched: 0,
+    recycled: 0,
+    crashed: 0,
+    pagesServed: 0
+  };
+
+  /**
+   * Launch a new browser and register it in the pool
+   * @returns {Promise<object>} Pool entry
+   */
+  async function launchBrowser() {
+    launching++;
+    try {
+      const browser = await puppeteer.launch(settings.launchOptions);
+      const entry = {
+        id: nextId++,
+        browser,
+        activePages: 0,
+        totalPages: 0,
+        retiring: false,
+        crashed: false,
+        launchedAt: new Date()
+      };
+
+      browser.on('disconnected', () => {
+        if (browsers.includes(entry) && !entry.retiring) {
+          console.warn(`💥 Pooled browser #${entry.id} disconnected unexpectedly`);
+          totals.crashed++;
+        }
+        removeEntry(entry);
+        drainQueue();
+      });
+
+      browsers.push(entry);
+      totals.launched++;
+      console.log(`🌐 Launched pooled browser #${entry.id} (${browsers.length}/${settings.size})`);
+      return entry;
+    } finally {
+      launching--;
+    }
+  }
+
+  /**
+   * Remove an entry from the pool
+   * @param {object} entry - Pool entry
+   */
+  function removeEntry(entry) {
+    const index = browsers.indexOf(entry);
+    if (index !== -1) {
+      browsers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Close a browser once it has no open pages
+   * Browsers retired because a page crashed are counted as crashed only.
+   * @param {object} entry - Pool entry
+   */
+  async function retireEntry(entry) {
+    entry.retiring = true;
+    if (entry.activePages > 0) {
+      return;
+    }
+
+    removeEntry(entry);
+    if (entry.crashed) {
+      console.log(`♻️ Closing pooled browser #${entry.id} after a page crash`);
+    } else {
+      totals.recycled++;
+      console.log(`♻️ Recycling pooled browser #${entry.id} after ${entry.totalPages} pages`);
+    }
+
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      console.warn(`Failed to close pooled browser #${entry.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Find a browser with spare page capacity
+   * @returns {object|undefined} Pool entry
+   */
+  function findAvailableEntry() {
+    return browsers.find(entry =>
+      !entry.retiring &&
+      entry.browser.isConnected() &&
+      entry.totalPages < settings.recycleAfter &&
+      entry.activePages < settings.maxPagesPerBrowser
+    );
+  }
+
+  /**
+   * Reserve a page slot on an existing or newly launched browser
+   * @returns {Promise<object|null>} Pool entry, or null if the pool is full
+   */
+  async function reserveEntry() {
+    let entry = findAvailableEntry();
+
+    if (!entry && browsers.length + launching < settings.size) {
+      entry = await launchBrowser();
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    entry.activePages++;
+    entry.totalPages++;
+    return entry;
+  }
+
+  /**
+   * Hand free slots to queued callers
+   */
+  function drainQueue() {
+    while (waiting.length > 0 && !closed) {
+      const hasCapacity = findAvailableEntry() || browsers.length + launching < settings.size;
+      if (!hasCapacity) {
+        return;
+      }
+
+      const waiter = waiting.shift();
+      reserveEntry().then((entry) => {
+        if (!entry) {
+          if (!waiter.settled) waiting.unshift(waiter);
+          return;
+        }
+        if (waiter.settled) {
+          // Caller timed out while the slot was being reserved
+          entry.activePages--;
+          entry.totalPages--;
+          drainQueue();
+          return;
+        }
+        waiter.settled = true;
+        clearTimeout(waiter.timer);
+        waiter.resolve(entry);
+      }, (error) => {
+        if (waiter.settled) return;
+        waiter.settled = true;
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+      });
+    }
+  }
+
+  /**
+   * Wait for a page slot to free up
+   * @returns {Promise<object>} Pool entry
+   */
+  function waitForEntry() {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, settled: false };
+
+      waiter.timer = setTimeout(() => {
+        waiter.settled = true;
+        const index = waiting.indexOf(waiter);
+        if (index !== -1) {
+          waiting.splice(index, 1);
+        }
+        reject(new Error(`Browser pool timeout: no page available after ${settings.acquireTimeout}ms`));
+      }, settings.acquireTimeout);
+
+      waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Release a page slot back to the pool
+   * Closing the page's incognito context discards its cookies, storage,
+   * cache and permission overrides.
+   * @param {object} entry - Pool entry the page belongs to
+   * @param {object} context - Incognito browser context the page was opened in
+   * @param {object} proxy - Egress proxy the context used, if any
+   * @param {boolean} crashed - Whether the page crashed
+   */
+  async function releasePage(entry, context, proxy, crashed) {
+    try {
+      await context.close();
+    } catch (error) {
+      console.warn(`Failed to close page context on pooled browser #${entry.id}:`, error.message);
+    }
+
+    if (proxy) {
+      await proxy.close();
+    }
+
+    entry.activePages--;
+
+    if (crashed && !entry.retiring) {
+      totals.crashed++;
+      entry.crashed = true;
+    }
+
+    if (crashed || entry.retiring || entry.totalPages >= settings.recycleAfter) {
+      await retireEntry(entry);
+    }
+
+    drainQueue();
+  }
+
+  /**
+   * Get or launch the dedicated browser for a profile
+   * A user-data directory can only be open in one browser, so each profile
+   * gets its own instance outside the shared pool.
+   * The persistent profile lives in the default context, so the whole
+   * browser is launched behind an egress proxy whose policy is set per lease.
+   * @param {object} profile - Profile ID and user-data directory
+   * @returns {Promise<object>} Profile browser entry
+   */
+  async function getProfileEntry(profile) {
+    let entry = profileBrowsers.get(profile.id);
+
+    if (!entry) {
+      const proxy = createEgressProxy();
+      entry = {
+        id: profile.id,
+        activePages: 0,
+        idleTimer: null,
+        launchedAt: new Date(),
+        browser: null,
+        proxy,
+        ready: proxy.listen().then(proxyServer => puppeteer.launch({
+          ...settings.launchOptions,
+          userDataDir: profile.userDataDir,
+          args: [
+            ...(settings.launchOptions.args || []),
+            `--proxy-server=${proxyServer}`,
+            `--proxy-bypass-list=${PROXY_BYPASS_LIST.join(',')}`
+          ]
+        }))
+      };
+      profileBrowsers.set(profile.id, entry);
+
+      try {
+        entry.browser = await entry.ready;
+      } catch (error) {
+        profileBrowsers.delete(profile.id);
+        await proxy.close();
+        throw error;
+      }
+
+      entry.browser.on('disconnected', () => {
+        if (profileBrowsers.get(profile.id) === entry) {
+          profileBrowsers.delete(profile.id);
+        }
+        proxy.close();
+      });
+      console.log(`🌐 Launched browser for profile ${profile.id}`);
+    } else {
+      await entry.ready;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Close a profile's browser, e.g. before its directory is deleted
+   * @param {string} profileId - Profile ID
+   */
+  async function closeProfile(profileId) {
+    const entry = profileBrowsers.get(profileId);
+    if (!entry) return;
+
+    profileBrowsers.delete(profileId);
+    clearTimeout(entry.idleTimer);
+
+    try {
+      await entry.ready;
+      await entry.browser.close();
+      console.log(`💤 Closed browser for profile ${profileId}`);
+    } catch (error) {
+      console.warn(`Failed to close browser for profile ${profileId}:`, error.message);
+    }
+    await entry.proxy.close();
+  }
+
+  /**
+   * Acquire a page from a profile's browser
+   * @param {object} profile - Profile ID and user-data directory
+   * @param {object} urlPolicy - Policy the profile's connections must pass (optional)
+   * @returns {Promise<object>} Object with the page and a release function
+   */
+  async function acquireProfilePage(profile, urlPolicy) {
+    const entry = await getProfileEntry(profile);
+
+    if (entry.activePages >= settings.maxPagesPerBrowser) {
+      throw new Error(`Browser pool timeout: profile ${profile.id} already has ${entry.activePages} open pages`);
+    }
+
+    clearTimeout(entry.idleTimer);
+    entry.activePages++;
+    // Profiles belong to one key, so concurrent leases share its policy
+    entry.proxy.setPolicy(urlPolicy || null);
+
+    let page;
+    try {
+      page = await entry.browser.newPage();
+    } catch (error) {
+      entry.activePages--;
+      await closeProfile(profile.id);
+      throw error;
+    }
+
+    totals.pagesServed++;
+    let released = false;
+
+    return {
+      page,
+      browserId: `profile:${profile.id}`,
+      release: async () => {
+        if (released) return;
+        released = true;
+
+        try {
+          if (!page.isClosed()) {
+            await page.close();
+          }
+        } catch (error) {
+          console.warn(`Failed to close page for profile ${profile.id}:`, error.message);
+        }
+
+        entry.activePages--;
+
+        // Pooled pages drop permission grants with their context; the
+        // profile's default context outlives the page, so clear them here
+        if (entry.activePages === 0 && entry.browser.isConnected()) {
+          try {
+            await entry.browser.defaultBrowserContext().clearPermissionOverrides();
+          } catch (error) {
+            console.warn(`Failed to clear permissions for profile ${profile.id}:`, error.message);
+          }
+        }
+
+        if (entry.activePages === 0 && profileBrowsers.get(profile.id) === entry) {
+          entry.idleTimer = setTimeout(() => closeProfile(profile.id), settings.profileIdleTimeout);
+          entry.idleTimer.unref();
+        }
+      }
+    };
+  }
+
+  /**
+   * Acquire a fresh page from the pool
+   * @param {object} options - Acquire options
+   * @param {object} options.profile - Profile ID and user-data directory to use a persistent profile (optional)
+   * @param {object} options.urlPolicy - Policy every connection the page opens must pass (optional)
+   * @returns {Promise<object>} Object with the page and a release function
+   */
+  async function acquirePage(options = {}) {
+    if (closed) {
+      throw new Error('Browser pool is shut down');
+    }
+
+    if (options.profile) {
+      return acquireProfilePage(options.profile, options.urlPolicy);
+    }
+
+    const entry = (waiting.length === 0 && await reserveEntry()) || await waitForEntry();
+
+    let proxy = null;
+    let context;
+    let page;
+    try {
+      const contextOptions = {};
+      if (options.urlPolicy) {
+        proxy = createEgressProxy(options.urlPolicy);
+        contextOptions.proxyServer = await proxy.listen();
+        contextOptions.proxyBypassList = PROXY_BYPASS_LIST;
+      }
+      context = await entry.browser.createIncognitoBrowserContext(contextOptions);
+      page = await context.newPage();
+    } catch (error) {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      if (proxy) {
+        await proxy.close();
+      }
+      entry.activePages--;
+      await retireEntry(entry);
+      drainQueue();
+      throw error;
+    }
+
+    let crashed = false;
+    let released = false;
+    page.on('error', () => {
+      crashed = true;
+    });
+
+    totals.pagesServed++;
+
+    return {
+      page,
+      browserId: entry.id,
+      release: async () => {
+        if (released) return;
+        released = true;
+        await releasePage(entry, context, proxy, crashed);
+      }
+    };
+  }
+
+  /**
+   * Get pool occupancy statistics
+   * @returns {object} Pool stats
+   */
+  function getStats() {
+    const activePages = browsers.reduce((sum, entry) => sum + entry.activePages, 0);
+
+    return {
+      size: settings.size,
+      maxPagesPerBrowser: settings.maxPagesPerBrowser,
+      recycleAfter: settings.recycleAfter,
+      browsers: browsers.length,
+      launching,
+      activePages,
+      capacity: settings.size * settings.maxPagesPerBrowser,
+      waiting: waiting.length,
+      totals: { ...totals },
+      instances: browsers.map(entry => ({
+        id: entry.id,
+        activePages: entry.activePages,
+        totalPages: entry.totalPages,
+        retiring: entry.retiring,
+        launchedAt: entry.launchedAt.toISOString()
+      })),
+      profiles: Array.from(profileBrowsers.values()).map(entry => ({
+        id: entry.id,
+        activePages: entry.activePages,
+        launchedAt: entry.launchedAt.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Close every browser and reject queued callers
+   */
+  async function shutdown() {
+    closed = true;
+
+    while (waiting.length > 0) {
+      const waiter = waiting.shift();
+      waiter.settled = true;
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shut down'));
+    }
+
+    const entries = browsers.splice(0, browsers.length);
+    await Promise.all(entries.map(async (entry) => {
+      entry.retiring = true;
+      try {
+        await entry.browser.close();
+      } catch (error) {
+        console.warn(`Failed to close pooled browser #${entry.id}:`, error.message);
+      }
+    }));
+
+    await Promise.all(Array.from(profileBrowsers.keys()).map(closeProfile));
+  }
+
+  return {
+    acquirePage,
+    closeProfile,
+    getStats,
+    shutdown
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
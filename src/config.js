@@ -4,6 +4,28 @@
  */
 
 const path = require('path');
+const { FORMAT_NAMES } = require('./formats');
+
+/**
+ * Parse the TRUST_PROXY setting into an Express 'trust proxy' value
+ * @param {string} value - true/false, a hop count, or a comma separated list of addresses
+ * @returns {boolean|number|string} Express 'trust proxy' value
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
+/**
+ * Parse a comma separated list
+ * @param {string} value - Comma separated values
+ * @returns {array} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 /**
  * Load and validate configuration from environment variables
@@ -20,6 +42,9 @@ function loadConfig() {
     apiKey: process.env.API_KEY,
     enableAuth: process.env.ENABLE_AUTH !== 'false', // Default to true
     
+    // Persistent data (share links, API keys, usage)
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    
     // Screenshot settings
     screenshotsDir: process.env.SCREENSHOTS_DIR || path.join(__dirname, '..', 'screenshots'),
     defaultFormat: process.env.DEFAULT_FORMAT || 'png',
@@ -32,27 +57,80 @@ function loadConfig() {
       width: parseInt(process.env.DEFAULT_VIEWPORT_WIDTH) || 1920,
       height: parseInt(process.env.DEFAULT_VIEWPORT_HEIGHT) || 1080
     },
+    browserPool: {
+      size: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+      maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES) || 4,
+      recycleAfter: parseInt(process.env.BROWSER_RECYCLE_AFTER) || 100,
+      acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT) || 30000,
+      profileIdleTimeout: parseInt(process.env.PROFILE_IDLE_TIMEOUT) || 5 * 60 * 1000
+    },
+    
+    // Background jobs
+    jobs: {
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+      maxQueued: parseInt(process.env.JOB_QUEUE_MAX) || 100,
+      retention: parseInt(process.env.JOB_RETENTION) || 60 * 60 * 1000 // 1 hour
+    },
     
     // Rate limiting
     rateLimitEnabled: process.env.RATE_LIMIT_ENABLED === 'true',
     rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 100,
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
+    rateLimitAnonymousMax: parseInt(process.env.RATE_LIMIT_ANONYMOUS_MAX) || parseInt(process.env.RATE_LIMIT_MAX) || 100,
+    rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory', // memory, redis
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    
+    // Default quotas per API key (0 = unlimited)
+    quotas: {
+      dailyCaptures: parseInt(process.env.QUOTA_DAILY_CAPTURES) || 0,
+      monthlyCaptures: parseInt(process.env.QUOTA_MONTHLY_CAPTURES) || 0,
+      dailyBytes: parseInt(process.env.QUOTA_DAILY_BYTES) || 0,
+      monthlyBytes: parseInt(process.env.QUOTA_MONTHLY_BYTES) || 0
+    },
     
     // Cleanup settings
     autoCleanup: process.env.AUTO_CLEANUP === 'true',
     cleanupMaxAge: parseInt(process.env.CLEANUP_MAX_AGE) || 24, // hours
     
-    // Storage settings (future)
-    storageType: process.env.STORAGE_TYPE || 'local', // local, s3, gcs
+    // Storage settings
+    storageType: process.env.STORAGE_TYPE || 'local', // local, s3
+    publicUrl: process.env.PUBLIC_URL, // Base URL used in links to locally stored files
     s3: {
       bucket: process.env.S3_BUCKET,
       region: process.env.S3_REGION,
       accessKeyId: process.env.S3_ACCESS_KEY_ID,
-      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      endpoint: process.env.S3_ENDPOINT, // For MinIO and other S3-compatible services
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX,
+      publicUrl: process.env.S3_PUBLIC_URL, // Pre-signed URLs are returned when unset
+      urlExpiry: parseInt(process.env.S3_URL_EXPIRES) || 3600 // seconds
     },
     
-    // Webhook settings (future)
+    // Webhook settings
     webhookUrl: process.env.WEBHOOK_URL,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+    webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    
+    // Encrypts typed values in stored profile login recipes
+    profileSecret: process.env.PROFILE_SECRET,
+
+    // Signed URL settings
+    signingSecret: process.env.SIGNING_SECRET,
+    signedUrlDefaultTtl: parseInt(process.env.SIGNED_URL_TTL) || 60 * 60, // seconds
+    signedUrlMaxTtl: parseInt(process.env.SIGNED_URL_MAX_TTL) || 7 * 24 * 60 * 60, // seconds
+    imageCacheMaxAge: parseInt(process.env.IMAGE_CACHE_MAX_AGE) || 300, // seconds
+    
+    // Target URL policy
+    urlPolicy: {
+      allowedSchemes: parseList(process.env.URL_ALLOWED_SCHEMES || 'http,https').map(scheme => `${scheme.replace(/:$/, '')}:`),
+      allowPrivate: process.env.ALLOW_PRIVATE_URLS === 'true',
+      allowlist: parseList(process.env.URL_ALLOWLIST),
+      denylist: parseList(process.env.URL_DENYLIST)
+    },
     
     // Security settings
     corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*'],
@@ -84,8 +162,8 @@ function validateConfig(config) {
   }
 
   // Format validation
-  if (!['png', 'jpeg', 'jpg'].includes(config.defaultFormat)) {
-    errors.push('DEFAULT_FORMAT must be one of: png, jpeg, jpg');
+  if (!FORMAT_NAMES.includes(config.defaultFormat)) {
+    errors.push(`DEFAULT_FORMAT must be one of: ${FORMAT_NAMES.join(', ')}`);
   }
 
   // Quality validation
@@ -98,6 +176,67 @@ function validateConfig(config) {
     warnings.push('BROWSER_TIMEOUT is very low, consider increasing for better reliability');
   }
 
+  // Browser pool validation
+  if (config.browserPool.size < 1) {
+    errors.push('BROWSER_POOL_SIZE must be at least 1');
+  }
+
+  if (config.browserPool.maxPagesPerBrowser < 1) {
+    errors.push('BROWSER_MAX_PAGES must be at least 1');
+  }
+
+  if (config.browserPool.size * config.browserPool.maxPagesPerBrowser > 50) {
+    warnings.push('Browser pool allows more than 50 concurrent pages, watch memory usage');
+  }
+
+  // Rate limit validation
+  if (!['memory', 'redis'].includes(config.rateLimitStore)) {
+    errors.push('RATE_LIMIT_STORE must be one of: memory, redis');
+  }
+
+  // Storage validation
+  if (!['local', 's3'].includes(config.storageType)) {
+    errors.push('STORAGE_TYPE must be one of: local, s3');
+  }
+
+  if (config.storageType === 's3' && !config.s3.bucket) {
+    errors.push('S3_BUCKET is required when STORAGE_TYPE is s3');
+  }
+
+  // Webhook validation
+  if (config.webhookUrl) {
+    try {
+      new URL(config.webhookUrl);
+    } catch {
+      errors.push('WEBHOOK_URL must be a valid URL');
+    }
+  }
+
+  if (!config.webhookSecret) {
+    warnings.push('No WEBHOOK_SECRET set, a random one is generated and webhook signatures change on restart');
+  }
+
+  if (!config.signingSecret) {
+    warnings.push('No SIGNING_SECRET set, a random one is generated and signed URLs stop working on restart');
+  }
+
+  if (!config.profileSecret) {
+    warnings.push('No PROFILE_SECRET set, a random one is generated and saved profile login recipes cannot be replayed after a restart');
+  }
+
+  // URL policy validation
+  if (config.urlPolicy.allowedSchemes.length === 0) {
+    errors.push('URL_ALLOWED_SCHEMES must list at least one scheme');
+  }
+
+  if (config.urlPolicy.allowedSchemes.some(scheme => !['http:', 'https:'].includes(scheme))) {
+    warnings.push('URL_ALLOWED_SCHEMES allows non-web schemes, captures may read local files');
+  }
+
+  if (config.urlPolicy.allowPrivate) {
+    warnings.push('ALLOW_PRIVATE_URLS is enabled, captures can reach internal network addresses');
+  }
+
   // Viewport validation
   if (config.defaultViewport.width < 320 || config.defaultViewport.width > 3840) {
     warnings.push('DEFAULT_VIEWPORT_WIDTH should be between 320 and 3840 pixels');
@@ -184,9 +323,16 @@ function printConfigSummary(config) {
   console.log(`   Port: ${config.port}`);
   console.log(`   Environment: ${config.nodeEnv}`);
   console.log(`   Authentication: ${config.enableAuth ? 'Enabled' : 'Disabled'}`);
-  console.log(`   Rate Limiting: ${config.rateLimitEnabled ? 'Enabled' : 'Disabled'}`);
-  console.log(`   Screenshots Directory: ${config.screenshotsDir}`);
+  console.log(`   Rate Limiting: ${config.rateLimitEnabled ? `Enabled (${config.rateLimitStore})` : 'Disabled'}`);
+  console.log(`   Storage: ${config.storageType}`);
+  if (config.storageType === 's3') {
+    console.log(`   S3 Bucket: ${config.s3.bucket}${config.s3.endpoint ? ` (${config.s3.endpoint})` : ''}`);
+  } else {
+    console.log(`   Screenshots Directory: ${config.screenshotsDir}`);
+  }
   console.log(`   Default Format: ${config.defaultFormat}`);
+  console.log(`   Browser Pool: ${config.browserPool.size} browser(s) x ${config.browserPool.maxPagesPerBrowser} page(s)`);
+  console.log(`   Private URLs: ${config.urlPolicy.allowPrivate ? 'Allowed' : 'Blocked'}`);
   console.log(`   Auto Cleanup: ${config.autoCleanup ? 'Enabled' : 'Disabled'}`);
   
   if (config.nodeEnv === 'development') {
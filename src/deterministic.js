@@ -0,0 +1,171 @@
+/**
+ * Deterministic Rendering
+ * Freezes time, seeds randomness and stops animations, videos and carets so
+ * two captures of the same page are pixel-identical
+ */
+
+// Instant Date and Date.now() report when no time is given
+const DEFAULT_TIME = Date.parse('2024-01-01T00:00:00.000Z');
+const DEFAULT_SEED = 1;
+
+// Transitions and carets are disabled with CSS; animations are settled by
+// settleAnimations, again right before each capture for ones started since
+const DETERMINISTIC_CSS = `
+  *, *::before, *::after {
+    transition: none !important;
+    caret-color: transparent !important;
+    scroll-behavior: auto !important;
+  }
+`;
+
+/**
+ * Convert a deterministic time (ISO date or epoch milliseconds) to epoch milliseconds
+ * @param {string|number} time - Time
+ * @returns {number} Epoch milliseconds (NaN if invalid)
+ */
+function toEpochMs(time) {
+  return typeof time === 'number' ? time : Date.parse(time);
+}
+
+/**
+ * Get deterministic settings from capture options
+ * @param {object} options - Capture options
+ * @returns {object|null} { time, seed }, or null when the mode is off
+ */
+function getDeterministicSettings(options) {
+  if (!options.deterministic) return null;
+
+  const settings = options.deterministic === true ? {} : options.deterministic;
+  return {
+    time: settings.time !== undefined ? toEpochMs(settings.time) : DEFAULT_TIME,
+    seed: settings.seed !== undefined ? settings.seed : DEFAULT_SEED
+  };
+}
+
+/**
+ * Validate the deterministic option
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateDeterministicOptions(options = {}) {
+  const { deterministic } = options;
+  if (deterministic === undefined || typeof deterministic === 'boolean') return [];
+
+  if (!deterministic || typeof deterministic !== 'object' || Array.isArray(deterministic)) {
+    return ['deterministic must be true or { time, seed }'];
+  }
+
+  const errors = [];
+
+  if (deterministic.time !== undefined && (!['string', 'number'].includes(typeof deterministic.time) || isNaN(toEpochMs(deterministic.time)))) {
+    errors.push('deterministic.time must be an ISO date or epoch milliseconds');
+  }
+
+  if (deterministic.seed !== undefined && !Number.isInteger(deterministic.seed)) {
+    errors.push('deterministic.seed must be an integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Register the script that freezes Date and performance.now, seeds
+ * Math.random and stops media autoplay on every document
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function installDeterministicScripts(page, options) {
+  const settings = getDeterministicSettings(options);
+  if (!settings) return;
+
+  await page.evaluateOnNewDocument((time, seed) => {
+    const OriginalDate = Date;
+
+    function FrozenDate(...args) {
+      if (!(this instanceof FrozenDate)) {
+        return new OriginalDate(time).toString();
+      }
+      return args.length === 0 ? new OriginalDate(time) : new OriginalDate(...args);
+    }
+    FrozenDate.prototype = OriginalDate.prototype;
+    FrozenDate.now = () => time;
+    FrozenDate.parse = OriginalDate.parse;
+    FrozenDate.UTC = OriginalDate.UTC;
+    window.Date = FrozenDate;
+
+    const frozenNow = performance.now();
+    performance.now = () => frozenNow;
+
+    // mulberry32
+    let state = seed >>> 0;
+    Math.random = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    HTMLMediaElement.prototype.play = function () {
+      return Promise.resolve();
+    };
+  }, settings.time, settings.seed);
+
+  console.log(`🧊 Deterministic mode: time ${new Date(settings.time).toISOString()}, seed ${settings.seed}`);
+}
+
+/**
+ * Settle every running animation
+ * Finite CSS and Web Animations jump to their end state and infinite ones are
+ * cancelled. Called again right before each screenshot or print, since
+ * scrolling, masks and hover states can start animations after freezePage.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function settleAnimations(page, options) {
+  if (!getDeterministicSettings(options)) return;
+
+  await page.evaluate(() => {
+    for (const animation of document.getAnimations()) {
+      try {
+        const timing = animation.effect.getComputedTiming();
+        if (Number.isFinite(timing.endTime)) {
+          animation.finish();
+        } else {
+          animation.cancel();
+        }
+      } catch {
+        animation.cancel();
+      }
+    }
+  });
+}
+
+/**
+ * Settle the page before masks are applied
+ * Animations are settled, transitions and carets are disabled and videos
+ * rest on frame 0.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function freezePage(page, options) {
+  if (!getDeterministicSettings(options)) return;
+
+  await page.addStyleTag({ content: DETERMINISTIC_CSS });
+  await settleAnimations(page, options);
+
+  await page.evaluate(() => {
+    for (const video of document.querySelectorAll('video')) {
+      video.pause();
+      video.currentTime = 0;
+    }
+  });
+}
+
+module.exports = {
+  validateDeterministicOptions,
+  getDeterministicSettings,
+  installDeterministicScripts,
+  settleAnimations,
+  freezePage
+};
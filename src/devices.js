@@ -0,0 +1,125 @@
+/**
+ * Device Emulation
+ * Catalog of devices (viewport, pixel ratio, mobile and touch flags, user
+ * agent) built on Puppeteer's known devices, plus generic viewport presets
+ */
+
+const { KnownDevices } = require('puppeteer');
+
+const MAX_DEVICE_SCALE_FACTOR = 4;
+
+// Generic presets kept for clients that send a plain viewport size
+const GENERIC_DEVICES = [
+  { id: 'desktop', name: 'Desktop', width: 1920, height: 1080 },
+  { id: 'laptop', name: 'Laptop', width: 1366, height: 768 },
+  { id: 'tablet', name: 'Tablet', width: 768, height: 1024 },
+  { id: 'mobile', name: 'Mobile', width: 375, height: 667 }
+].map(device => ({
+  ...device,
+  deviceScaleFactor: 1,
+  isMobile: false,
+  hasTouch: false,
+  isLandscape: device.width > device.height,
+  userAgent: null
+}));
+
+/**
+ * Convert a device name to a URL-friendly ID ("iPhone 13 Pro" -> "iphone-13-pro")
+ * @param {string} name - Device name
+ * @returns {string} Device ID
+ */
+function toDeviceId(name) {
+  return name
+    .toLowerCase()
+    .replace(/\+/g, '-plus')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const DEVICES = [
+  ...GENERIC_DEVICES,
+  ...Object.values(KnownDevices).map(device => ({
+    id: toDeviceId(device.name),
+    name: device.name,
+    width: device.viewport.width,
+    height: device.viewport.height,
+    deviceScaleFactor: device.viewport.deviceScaleFactor,
+    isMobile: device.viewport.isMobile,
+    hasTouch: device.viewport.hasTouch,
+    isLandscape: device.viewport.isLandscape,
+    userAgent: device.userAgent
+  }))
+];
+
+/**
+ * Find a device by ID or name (case-insensitive)
+ * @param {string} idOrName - Device ID or name
+ * @returns {object|null} Device
+ */
+function findDevice(idOrName) {
+  if (typeof idOrName !== 'string') return null;
+  const id = toDeviceId(idOrName);
+  return DEVICES.find(device => device.id === id) || null;
+}
+
+/**
+ * Validate device and deviceScaleFactor options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateDeviceOptions(options = {}) {
+  const errors = [];
+
+  if (options.device !== undefined && !findDevice(options.device)) {
+    errors.push(`Unknown device: ${options.device} (see GET /devices)`);
+  }
+
+  if (options.deviceScaleFactor !== undefined) {
+    const factor = options.deviceScaleFactor;
+    if (typeof factor !== 'number' || !(factor > 0) || factor > MAX_DEVICE_SCALE_FACTOR) {
+      errors.push(`deviceScaleFactor must be a number greater than 0 and at most ${MAX_DEVICE_SCALE_FACTOR}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Apply a device's emulation settings to capture options
+ * The device sets the viewport and user agent; an explicit userAgent or
+ * deviceScaleFactor in the options still wins.
+ * @param {object} options - Merged capture options (viewport is updated in place)
+ * @returns {object|null} Device applied, if any
+ */
+function applyDeviceOptions(options) {
+  const device = options.device ? findDevice(options.device) : null;
+
+  if (device) {
+    options.viewport = {
+      ...options.viewport,
+      width: device.width,
+      height: device.height,
+      deviceScaleFactor: device.deviceScaleFactor,
+      isMobile: device.isMobile,
+      hasTouch: device.hasTouch,
+      isLandscape: device.isLandscape
+    };
+
+    if (!options.userAgent && device.userAgent) {
+      options.userAgent = device.userAgent;
+    }
+  }
+
+  if (options.deviceScaleFactor !== undefined) {
+    options.viewport = { ...options.viewport, deviceScaleFactor: options.deviceScaleFactor };
+  }
+
+  return device;
+}
+
+module.exports = {
+  DEVICES,
+  findDevice,
+  validateDeviceOptions,
+  applyDeviceOptions
+};
@@ -0,0 +1,190 @@
+/**
+ * Egress Proxy
+ * Local HTTP proxy that capture browsers send all their traffic through.
+ * Every connection, WebSockets included, is checked against the URL policy
+ * when it is opened and made to the exact address that was checked, so a
+ * host that re-resolves to a private address (DNS rebinding) is refused.
+ */
+
+const http = require('http');
+const net = require('net');
+
+// Request headers meant for the proxy, never forwarded to the target
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization'];
+
+/**
+ * Split a CONNECT authority (host:port, [v6]:port) into host and port
+ * @param {string} authority - Authority from the CONNECT request line
+ * @returns {object|null} { host, port }, or null if malformed
+ */
+function parseAuthority(authority) {
+  const match = /^(\[[^\]]+\]|[^:]+):(\d+)$/.exec(authority || '');
+  if (!match) return null;
+  return { host: match[1], port: parseInt(match[2]) };
+}
+
+/**
+ * Create an egress proxy bound to a URL policy
+ * @param {object} policy - URL policy connections must pass (null lets everything through)
+ * @returns {object} Proxy with listen, setPolicy and close methods
+ */
+function createEgressProxy(policy = null) {
+  let currentPolicy = policy;
+  const sockets = new Set();
+  const server = http.createServer();
+
+  /**
+   * Keep track of a socket so close() can end it
+   * @param {object} socket - Client or upstream socket
+   */
+  function track(socket) {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  }
+
+  /**
+   * Check a connection against the current policy
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   * @param {string} protocol - Scheme the connection is for
+   * @returns {Promise<object>} { allowed, reason, address }
+   */
+  async function checkTarget(host, port, protocol) {
+    if (!currentPolicy) {
+      return { allowed: true, address: host.replace(/^\[|\]$/g, '') };
+    }
+
+    try {
+      return await currentPolicy.checkConnection(host, port, protocol);
+    } catch (error) {
+      return { allowed: false, reason: error.message };
+    }
+  }
+
+  // HTTPS, WSS and WS traffic arrives as CONNECT tunnels
+  server.on('connect', async (req, clientSocket, head) => {
+    track(clientSocket);
+    clientSocket.on('error', () => {});
+
+    const target = parseAuthority(req.url);
+    const verdict = target
+      ? await checkTarget(target.host, target.port, 'https:')
+      : { allowed: false, reason: 'Malformed CONNECT target' };
+
+    if (!verdict.allowed) {
+      console.warn(`🚫 Blocked connection to ${req.url}: ${verdict.reason}`);
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const upstream = net.connect(target.port, verdict.address);
+    track(upstream);
+
+    upstream.on('connect', () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head && head.length > 0) {
+        upstream.write(head);
+      }
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => {
+      if (!clientSocket.destroyed) {
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      }
+    });
+    clientSocket.on('close', () => upstream.destroy());
+  });
+
+  // Plain HTTP requests arrive with an absolute URL
+  server.on('request', async (req, res) => {
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const port = parseInt(target.port) || 80;
+    const verdict = await checkTarget(target.hostname, port, target.protocol);
+
+    if (!verdict.allowed) {
+      console.warn(`🚫 Blocked connection to ${target.host}: ${verdict.reason}`);
+      res.writeHead(403).end();
+      return;
+    }
+
+    const headers = { ...req.headers };
+    PROXY_HEADERS.forEach(name => delete headers[name]);
+
+    const upstream = http.request({
+      host: verdict.address,
+      port,
+      method: req.method,
+      path: `${target.pathname}${target.search}`,
+      headers,
+      agent: false
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.rawHeaders);
+      upstreamRes.pipe(res);
+    });
+
+    upstream.on('socket', track);
+    upstream.on('error', () => {
+      if (!res.headersSent) {
+        res.writeHead(502).end();
+      } else {
+        res.destroy();
+      }
+    });
+    req.pipe(upstream);
+  });
+
+  server.on('connection', track);
+
+  /**
+   * Start listening on a random loopback port
+   * @returns {Promise<string>} Proxy server address for Chromium, e.g. http://127.0.0.1:41234
+   */
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        server.off('error', reject);
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Enforce a different policy on connections opened from now on
+   * @param {object} nextPolicy - URL policy (null lets everything through)
+   */
+  function setPolicy(nextPolicy) {
+    currentPolicy = nextPolicy;
+  }
+
+  /**
+   * Stop listening and end every open connection
+   * @returns {Promise<void>}
+   */
+  function close() {
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    });
+  }
+
+  return {
+    listen,
+    setPolicy,
+    close
+  };
+}
+
+module.exports = {
+  createEgressProxy
+};
@@ -0,0 +1,266 @@
+/**
+ * Output Formats
+ * Describes every format a capture can be saved as and encodes captures
+ * the browser cannot produce directly (AVIF, lossless WebP) or prints (PDF)
+ */
+
+const sharp = require('sharp');
+const { captureElementRegion } = require('./regions');
+const { captureFullPageImage } = require('./fullPage');
+const { checkRedactions } = require('./masking');
+const { findDevice } = require('./devices');
+const { settleAnimations } = require('./deterministic');
+
+// Screenshot type requested from the browser for each output format, the
+// largest width or height the encoder accepts in pixels, and the quality used
+// when the caller gives none (formats without one use DEFAULT_QUALITY)
+const OUTPUT_FORMATS = {
+  png: { browserType: 'png' },
+  jpeg: { browserType: 'jpeg', maxDimension: 65535 },
+  jpg: { browserType: 'jpeg', maxDimension: 65535 },
+  webp: { browserType: 'webp', maxDimension: 16383 },
+  avif: { browserType: 'png', maxDimension: 16384, defaultQuality: 50 },
+  pdf: { printed: true }
+};
+
+const FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+const PAPER_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+
+// Attribute used to isolate an element while printing it
+const PRINT_TARGET_ATTRIBUTE = 'data-screenshot-print-target';
+
+/**
+ * Validate PDF options
+ * @param {object} pdf - PDF options (format, width, height, landscape, margin, printBackground, scale, pageRanges)
+ * @returns {array} Error messages
+ */
+function validatePdfOptions(pdf = {}) {
+  const errors = [];
+
+  if (typeof pdf !== 'object' || Array.isArray(pdf)) {
+    return ['pdf options must be an object'];
+  }
+
+  if (pdf.format && !PAPER_FORMATS.includes(String(pdf.format).toLowerCase())) {
+    errors.push(`pdf.format must be one of: ${PAPER_FORMATS.join(', ')}`);
+  }
+
+  if (pdf.scale !== undefined && (typeof pdf.scale !== 'number' || pdf.scale < 0.1 || pdf.scale > 2)) {
+    errors.push('pdf.scale must be between 0.1 and 2');
+  }
+
+  if (pdf.margin !== undefined) {
+    const sides = ['top', 'right', 'bottom', 'left'];
+    if (typeof pdf.margin !== 'object' || Object.keys(pdf.margin).some(side => !sides.includes(side))) {
+      errors.push('pdf.margin may only set top, right, bottom and left');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate that sizes known before navigation fit the output format
+ * Catches viewport captures and autoScroll.maxHeight full-page captures that
+ * webp or avif could not encode, before a browser page is spent on them.
+ * The page's real height is checked again before stitching.
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateOutputSize(options = {}) {
+  const format = OUTPUT_FORMATS[options.format];
+  if (!format || !format.maxDimension) return [];
+
+  const device = options.device ? findDevice(options.device) : null;
+  const viewport = options.viewport || {};
+  const scale = options.deviceScaleFactor || viewport.deviceScaleFactor || (device && device.deviceScaleFactor) || 1;
+  const errors = [];
+
+  /**
+   * Record an error when a size in CSS pixels is too large once scaled
+   * @param {string} name - Option the size comes from
+   * @param {*} size - Size in CSS pixels
+   */
+  const check = (name, size) => {
+    const pixels = Math.round(Number(size) * scale);
+    if (pixels > format.maxDimension) {
+      errors.push(`${name} is ${pixels} device pixels but ${options.format} images can be at most ${format.maxDimension}; use png or jpeg`);
+    }
+  };
+
+  check('Viewport width', options.viewportWidth || viewport.width || (device && device.width));
+  check('Viewport height', options.viewportHeight || viewport.height || (device && device.height));
+
+  if (options.fullPage && options.autoScroll && options.autoScroll.maxHeight) {
+    check('autoScroll.maxHeight', options.autoScroll.maxHeight);
+  }
+
+  return errors;
+}
+
+/**
+ * Build page.pdf options from capture options
+ * @param {object} options - Capture options
+ * @returns {object} Puppeteer PDF options
+ */
+function getPdfOptions(options) {
+  const pdf = options.pdf || {};
+  const pdfOptions = {
+    printBackground: pdf.printBackground !== false,
+    landscape: Boolean(pdf.landscape),
+    scale: pdf.scale || 1,
+    margin: { top: '0', right: '0', bottom: '0', left: '0', ...pdf.margin },
+    timeout: options.timeout
+  };
+
+  // Explicit width/height win over a named paper size
+  if (pdf.width || pdf.height) {
+    pdfOptions.width = pdf.width;
+    pdfOptions.height = pdf.height;
+  } else {
+    pdfOptions.format = pdf.format || 'a4';
+  }
+
+  if (pdf.pageRanges) {
+    pdfOptions.pageRanges = pdf.pageRanges;
+  }
+
+  return pdfOptions;
+}
+
+/**
+ * Quality to encode with when the caller does not pass one
+ * @param {string} format - Output format
+ * @param {number} fallback - Server-wide default quality
+ * @returns {number} Quality from 1 to 100
+ */
+function getDefaultQuality(format, fallback) {
+  const entry = OUTPUT_FORMATS[format];
+  return entry && entry.defaultQuality ? entry.defaultQuality : fallback;
+}
+
+/**
+ * Encode an image with sharp in the requested format
+ * @param {object} image - Sharp image
+ * @param {object} options - Capture options (format, quality, lossless)
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function encodeImage(image, options) {
+  switch (options.format) {
+    case 'avif':
+      return image.avif({ quality: options.quality || 50 }).toBuffer();
+    case 'webp':
+      return image.webp(options.lossless ? { lossless: true } : { quality: options.quality || 90 }).toBuffer();
+    case 'jpeg':
+    case 'jpg':
+      return image.jpeg({ quality: options.quality || 90 }).toBuffer();
+    default:
+      return image.png().toBuffer();
+  }
+}
+
+/**
+ * Capture the page as an image in the requested format
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options (format, quality, lossless)
+ * @param {object} extra - Additional screenshot options, e.g. fullPage or clip
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function captureImage(page, options, extra = {}) {
+  const format = OUTPUT_FORMATS[options.format];
+  const lossless = options.format === 'webp' && options.lossless;
+
+  // Chrome cannot encode AVIF or lossless WebP, so those start from a PNG
+  const screenshotOptions = {
+    ...extra,
+    type: lossless ? 'png' : format.browserType
+  };
+
+  if (screenshotOptions.type !== 'png' && options.quality) {
+    screenshotOptions.quality = options.quality;
+  }
+
+  await settleAnimations(page, options);
+  await checkRedactions(page, options);
+  const buffer = await page.screenshot(screenshotOptions);
+
+  if (options.format === 'avif' || lossless) {
+    return encodeImage(sharp(buffer), options);
+  }
+
+  return buffer;
+}
+
+/**
+ * Print the page, or only one element of it, to PDF
+ * @param {object} page - Puppeteer page object
+ * @param {object} element - Element handle to print on its own (optional)
+ * @param {object} options - Capture options, including pdf settings
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function capturePdf(page, element, options) {
+  await settleAnimations(page, options);
+  await checkRedactions(page, options);
+
+  if (!element) {
+    return page.pdf(getPdfOptions(options));
+  }
+
+  // Hide everything except the element and move it to the top-left corner
+  await element.evaluate((node, attribute) => node.setAttribute(attribute, ''), PRINT_TARGET_ATTRIBUTE);
+  const style = await page.addStyleTag({
+    content: `
+      @media print {
+        body * { visibility: hidden !important; }
+        [${PRINT_TARGET_ATTRIBUTE}], [${PRINT_TARGET_ATTRIBUTE}] * { visibility: visible !important; }
+        [${PRINT_TARGET_ATTRIBUTE}] { position: absolute !important; left: 0 !important; top: 0 !important; margin: 0 !important; }
+      }
+    `
+  });
+
+  try {
+    return await page.pdf(getPdfOptions(options));
+  } finally {
+    await style.evaluate(node => node.remove());
+    await element.evaluate((node, attribute) => node.removeAttribute(attribute), PRINT_TARGET_ATTRIBUTE);
+  }
+}
+
+/**
+ * Capture a page, element or clip region in any output format
+ * @param {object} page - Puppeteer page object
+ * @param {object} element - Element handle, or null for the whole page (or options.clip)
+ * @param {object} options - Capture options
+ * @returns {Promise<Buffer>} Encoded file
+ */
+async function captureOutput(page, element, options) {
+  if (OUTPUT_FORMATS[options.format].printed) {
+    return capturePdf(page, element, options);
+  }
+
+  if (element) {
+    return captureElementRegion(page, element, options, clip =>
+      captureImage(page, options, { clip, captureBeyondViewport: true })
+    );
+  }
+
+  if (options.clip) {
+    return captureImage(page, options, { clip: options.clip, captureBeyondViewport: true });
+  }
+
+  return captureFullPageImage(page, options, {
+    capture: extra => captureImage(page, options, extra),
+    encode: image => encodeImage(image, options),
+    maxHeight: OUTPUT_FORMATS[options.format].maxDimension
+  });
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_NAMES,
+  getDefaultQuality,
+  validatePdfOptions,
+  validateOutputSize,
+  captureOutput
+};
@@ -0,0 +1,237 @@
+/**
+ * Full Page Capture
+ * Scrolls the page to trigger lazy loading, neutralizes fixed and sticky
+ * elements, and stitches viewport-sized tiles for pages taller than
+ * Chromium can capture in one texture
+ */
+
+const sharp = require('sharp');
+const { checkRedactions } = require('./masking');
+const { settleAnimations } = require('./deterministic');
+
+// Chromium cannot capture a surface taller than this many device pixels
+const MAX_TEXTURE_SIZE = 16384;
+
+const AUTO_SCROLL_DEFAULTS = {
+  delay: 100,
+  maxHeight: 20000
+};
+
+const MAX_SCROLL_STEP = 10000;
+const MAX_SCROLL_DELAY = 10000;
+const MAX_SCROLL_HEIGHT = 100000;
+
+/**
+ * Validate autoScroll, stitch and neutralizeFixed options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateFullPageOptions(options = {}) {
+  const errors = [];
+  const { autoScroll } = options;
+
+  if (autoScroll !== undefined && typeof autoScroll !== 'boolean') {
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+    if (!autoScroll || typeof autoScroll !== 'object' || Array.isArray(autoScroll)) {
+      errors.push('autoScroll must be true or { step, delay, maxHeight }');
+    } else {
+      if (autoScroll.step !== undefined && !inRange(autoScroll.step, 1, MAX_SCROLL_STEP)) {
+        errors.push(`autoScroll.step must be between 1 and ${MAX_SCROLL_STEP} pixels`);
+      }
+      if (autoScroll.delay !== undefined && !inRange(autoScroll.delay, 0, MAX_SCROLL_DELAY)) {
+        errors.push(`autoScroll.delay must be between 0 and ${MAX_SCROLL_DELAY}ms`);
+      }
+      if (autoScroll.maxHeight !== undefined && !inRange(autoScroll.maxHeight, 1, MAX_SCROLL_HEIGHT)) {
+        errors.push(`autoScroll.maxHeight must be between 1 and ${MAX_SCROLL_HEIGHT} pixels`);
+      }
+    }
+  }
+
+  for (const field of ['stitch', 'neutralizeFixed']) {
+    if (options[field] === undefined) continue;
+
+    if (typeof options[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    } else if (options[field] && !options.fullPage) {
+      errors.push(`${field} requires fullPage`);
+    }
+  }
+
+  if (options.stitch && options.format === 'pdf') {
+    errors.push('stitch is not available for pdf output');
+  }
+
+  return errors;
+}
+
+/**
+ * Get auto-scroll settings from capture options
+ * @param {object} options - Capture options
+ * @returns {object|null} { step, delay, maxHeight }, or null when off
+ */
+function getAutoScrollSettings(options) {
+  if (!options.autoScroll) return null;
+  return { ...AUTO_SCROLL_DEFAULTS, ...(options.autoScroll === true ? {} : options.autoScroll) };
+}
+
+/**
+ * Scroll through the page so lazy-loaded content and infinite scroll load
+ * Stops at the bottom of the page, at maxHeight or when the timeout runs
+ * out, then returns to the top. Timing runs in Node so it still works when
+ * deterministic mode has frozen the page's clock.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function autoScroll(page, options) {
+  const settings = getAutoScrollSettings(options);
+  if (!settings) return;
+
+  const deadline = Date.now() + options.timeout;
+  let position = 0;
+  let steps = 0;
+  let layout;
+
+  while (true) {
+    await page.evaluate(top => window.scrollTo(0, top), position);
+    await page.waitForTimeout(settings.delay);
+    steps++;
+
+    // Measured after the delay so content loaded by this step is counted
+    layout = await page.evaluate(() => ({
+      height: document.documentElement.scrollHeight,
+      viewportHeight: window.innerHeight
+    }));
+
+    const bottom = Math.min(layout.height, settings.maxHeight);
+    if (position + layout.viewportHeight >= bottom) break;
+
+    if (Date.now() > deadline) {
+      console.warn(`⚠️ Auto-scroll stopped at ${position}px after ${options.timeout}ms`);
+      break;
+    }
+
+    position += settings.step || layout.viewportHeight;
+  }
+
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await page.waitForTimeout(settings.delay);
+
+  console.log(`🖱️ Auto-scrolled ${steps} step(s), page height ${layout.height}px`);
+}
+
+/**
+ * Turn fixed elements into absolute ones and sticky elements into static
+ * ones so headers and banners appear once instead of on every tile
+ * @param {object} page - Puppeteer page object
+ */
+async function neutralizeFixedElements(page) {
+  const changed = await page.evaluate(() => {
+    let count = 0;
+    for (const element of document.querySelectorAll('body *')) {
+      const position = getComputedStyle(element).position;
+      if (position === 'fixed') {
+        element.style.setProperty('position', 'absolute', 'important');
+        count++;
+      } else if (position === 'sticky') {
+        element.style.setProperty('position', 'static', 'important');
+        count++;
+      }
+    }
+    return count;
+  });
+
+  console.log(`📌 Neutralized ${changed} fixed or sticky element(s)`);
+}
+
+/**
+ * Capture the page as viewport-sized tiles and stitch them together
+ * @param {object} page - Puppeteer page object
+ * @param {number} height - Height to capture in CSS pixels
+ * @param {object} options - Capture options
+ * @returns {Promise<object>} Sharp image of the stitched page
+ */
+async function stitchTiles(page, height, options) {
+  const viewportHeight = await page.evaluate(() => window.innerHeight);
+  const tiles = [];
+  let width = 0;
+  let scale = 1;
+
+  for (let top = 0; top < height; top += viewportHeight) {
+    // Near the bottom the browser scrolls less than asked; the overlap is cropped
+    const scrolledTo = await page.evaluate(y => {
+      window.scrollTo(0, y);
+      return window.scrollY;
+    }, top);
+    await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+    await settleAnimations(page, options);
+    await checkRedactions(page, options);
+    const buffer = await page.screenshot({ type: 'png' });
+    const metadata = await sharp(buffer).metadata();
+    width = metadata.width;
+    scale = metadata.height / viewportHeight;
+
+    const offset = Math.round((top - scrolledTo) * scale);
+    const rows = Math.min(Math.round(Math.min(viewportHeight, height - top) * scale), metadata.height - offset);
+
+    tiles.push({
+      input: await sharp(buffer).extract({ left: 0, top: offset, width, height: rows }).toBuffer(),
+      left: 0,
+      top: Math.round(top * scale)
+    });
+  }
+
+  await page.evaluate(() => window.scrollTo(0, 0));
+  console.log(`🧩 Stitched ${tiles.length} tile(s)`);
+
+  return sharp({
+    create: { width, height: Math.round(height * scale), channels: 4, background: '#ffffff' },
+    limitInputPixels: false
+  }).composite(tiles);
+}
+
+/**
+ * Capture the full page, stitching tiles when it is too tall for one capture
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @param {object} handlers - Capture callbacks
+ * @param {function} handlers.capture - (screenshotOptions) => Promise<Buffer> for a single capture
+ * @param {function} handlers.encode - (sharpImage) => Promise<Buffer> encoding a stitched image
+ * @param {number} handlers.maxHeight - Tallest image the output format can encode, in device pixels (optional)
+ * @returns {Promise<Buffer>} Encoded image
+ * @throws {Error} Before any tile is captured when the stitched image would be too tall for the format
+ */
+async function captureFullPageImage(page, options, { capture, encode, maxHeight }) {
+  const layout = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+  const viewport = page.viewport() || {};
+  const scrollSettings = getAutoScrollSettings(options);
+
+  const height = scrollSettings ? Math.min(layout.height, scrollSettings.maxHeight) : layout.height;
+  const tooTall = height * (viewport.deviceScaleFactor || 1) > MAX_TEXTURE_SIZE;
+
+  if (options.stitch !== undefined ? options.stitch : tooTall) {
+    const deviceHeight = Math.round(height * (viewport.deviceScaleFactor || 1));
+    if (maxHeight && deviceHeight > maxHeight) {
+      throw new Error(`Output too large: the page is ${deviceHeight}px tall but ${options.format} images can be at most ${maxHeight}px; use png or jpeg, or lower autoScroll.maxHeight`);
+    }
+    return encode(await stitchTiles(page, height, options));
+  }
+
+  // Infinite scroll can grow past maxHeight; cut the capture there
+  if (height < layout.height) {
+    return capture({ clip: { x: 0, y: 0, width: layout.width, height }, captureBeyondViewport: true });
+  }
+
+  return capture({ fullPage: true });
+}
+
+module.exports = {
+  validateFullPageOptions,
+  autoScroll,
+  neutralizeFixedElements,
+  captureFullPageImage
+};
@@ -0,0 +1,128 @@
+/**
+ * CSS and Script Injection
+ * Applies caller supplied CSS and JavaScript to the page and collects any
+ * errors so they can be reported with the capture
+ */
+
+const INJECTION_FIELDS = ['injectCss', 'injectScript', 'preloadScript'];
+
+const MAX_INJECTION_LENGTH = 100 * 1024;
+
+// Page global that preload scripts report their errors to
+const PRELOAD_ERRORS_GLOBAL = '__screenshotPreloadErrors';
+
+/**
+ * Normalize a string or array of strings to an array
+ * @param {string|array} value - Option value
+ * @returns {array} Sources
+ */
+function toSources(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate injection options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateInjectionOptions(options = {}) {
+  const errors = [];
+
+  for (const field of INJECTION_FIELDS) {
+    if (options[field] === undefined) continue;
+
+    const sources = toSources(options[field]);
+    if (!sources.every(source => typeof source === 'string')) {
+      errors.push(`${field} must be a string or an array of strings`);
+    } else if (sources.reduce((total, source) => total + source.length, 0) > MAX_INJECTION_LENGTH) {
+      errors.push(`${field} may be at most ${MAX_INJECTION_LENGTH / 1024}KB`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether the options ask for any injection
+ * @param {object} options - Capture options
+ * @returns {boolean} True if CSS or scripts will be injected
+ */
+function hasInjections(options) {
+  return INJECTION_FIELDS.some(field => toSources(options[field]).length > 0);
+}
+
+/**
+ * Register preload scripts to run before any page script on every document
+ * Each script runs in its own try/catch so one failure does not stop the rest.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function installPreloadScripts(page, options) {
+  const scripts = toSources(options.preloadScript);
+  if (scripts.length === 0) return;
+
+  const source = scripts.map((script, index) => `
+    try {
+      (new Function(${JSON.stringify(script)}))();
+    } catch (error) {
+      (window.${PRELOAD_ERRORS_GLOBAL} = window.${PRELOAD_ERRORS_GLOBAL} || []).push({
+        source: 'preloadScript',
+        index: ${index},
+        message: String(error && error.message || error)
+      });
+    }
+  `).join('\n');
+
+  await page.evaluateOnNewDocument(source);
+  console.log(`💉 Registered ${scripts.length} preload script(s)`);
+}
+
+/**
+ * Inject CSS and scripts into the loaded page and collect preload errors
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @returns {Promise<array>} Script errors: { source, index, message }
+ */
+async function applyInjections(page, options) {
+  const errors = [];
+
+  if (toSources(options.preloadScript).length > 0) {
+    const preloadErrors = await page.evaluate(name => window[name] || [], PRELOAD_ERRORS_GLOBAL);
+    errors.push(...preloadErrors);
+  }
+
+  const styles = toSources(options.injectCss);
+  for (let i = 0; i < styles.length; i++) {
+    try {
+      await page.addStyleTag({ content: styles[i] });
+    } catch (error) {
+      errors.push({ source: 'injectCss', index: i, message: error.message });
+    }
+  }
+
+  const scripts = toSources(options.injectScript);
+  for (let i = 0; i < scripts.length; i++) {
+    try {
+      // Evaluated as an expression; a returned promise is awaited
+      await page.evaluate(scripts[i]);
+    } catch (error) {
+      errors.push({ source: 'injectScript', index: i, message: error.message });
+    }
+  }
+
+  if (styles.length + scripts.length > 0) {
+    console.log(`💉 Injected ${styles.length} stylesheet(s) and ${scripts.length} script(s)`);
+  }
+
+  errors.forEach(error => console.warn(`⚠️ ${error.source}[${error.index}] failed: ${error.message}`));
+
+  return errors;
+}
+
+module.exports = {
+  validateInjectionOptions,
+  hasInjections,
+  installPreloadScripts,
+  applyInjections
+};
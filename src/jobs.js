@@ -0,0 +1,182 @@
+/**
+ * Capture Job Queue
+ * Runs screenshot captures in the background so clients can poll for results
+ * instead of holding the HTTP connection open
+ */
+
+const crypto = require('crypto');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Create an in-memory job queue
+ * @param {object} options - Queue options
+ * @param {function} options.runner - Async function (payload) => result that performs the work
+ * @param {number} options.concurrency - Number of jobs run at the same time
+ * @param {number} options.maxQueued - Maximum number of jobs waiting to run
+ * @param {number} options.retentionMs - How long finished jobs are kept
+ * @returns {object} Queue with enqueue, getJob and getStats methods
+ */
+function createJobQueue(options = {}) {
+  const settings = {
+    concurrency: 2,
+    maxQueued: 100,
+    retentionMs: 60 * 60 * 1000,
+    ...options
+  };
+
+  if (typeof settings.runner !== 'function') {
+    throw new Error('Job queue requires a runner function');
+  }
+
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  /**
+   * Drop finished jobs older than the retention window
+   */
+  function pruneJobs() {
+    const cutoff = Date.now() - settings.retentionMs;
+
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  function runNext() {
+    while (running < settings.concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+  }
+
+  /**
+   * Execute a single job and record its outcome
+   * @param {object} job - Job record
+   */
+  async function runJob(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date();
+    console.log(`⚙️ Job ${job.id} started`);
+
+    try {
+      job.result = await settings.runner(job.payload, job);
+      job.status = JOB_STATUS.SUCCEEDED;
+      console.log(`✅ Job ${job.id} succeeded`);
+    } catch (error) {
+      job.error = error;
+      job.status = JOB_STATUS.FAILED;
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    } finally {
+      job.finishedAt = new Date();
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {object} payload - Data passed to the runner
+   * @param {string} owner - ID of the API key that created the job
+   * @returns {object} Job record
+   */
+  function enqueue(payload, owner = 'anonymous') {
+    pruneJobs();
+
+    if (pending.length >= settings.maxQueued) {
+      throw new Error(`Job queue is full (${settings.maxQueued} jobs waiting)`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      owner,
+      payload,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    runNext();
+
+    return job;
+  }
+
+  /**
+   * Look up a job by ID
+   * @param {string} id - Job ID
+   * @returns {object|undefined} Job record
+   */
+  function getJob(id) {
+    pruneJobs();
+    return jobs.get(id);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {object} Queue stats
+   */
+  function getStats() {
+    const counts = {
+      queued: 0,
+      running: 0,
+      succeeded: 0,
+      failed: 0
+    };
+
+    for (const job of jobs.values()) {
+      counts[job.status]++;
+    }
+
+    return {
+      concurrency: settings.concurrency,
+      maxQueued: settings.maxQueued,
+      ...counts
+    };
+  }
+
+  return {
+    enqueue,
+    getJob,
+    getStats
+  };
+}
+
+/**
+ * Build the public view of a job
+ * @param {object} job - Job record
+ * @returns {object} Serializable job summary
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+    error: job.error ? job.error.message : undefined
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  createJobQueue,
+  serializeJob
+};
@@ -0,0 +1,72 @@
+/**
+ * JSON File Store
+ * Small persistence helper that keeps a JSON document in memory and writes
+ * it back to disk atomically after changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a JSON file store
+ * @param {string} filepath - File the data is persisted to
+ * @param {object} defaults - Initial data when the file does not exist yet
+ * @returns {object} Store with data, save and flush
+ */
+function createJsonStore(filepath, defaults = {}) {
+  let data = JSON.parse(JSON.stringify(defaults));
+
+  try {
+    data = { ...data, ...JSON.parse(fs.readFileSync(filepath, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read ${filepath}, starting empty:`, error.message);
+    }
+  }
+
+  let pending = Promise.resolve();
+  let dirty = false;
+
+  /**
+   * Write the current data to disk
+   */
+  async function write() {
+    if (!dirty) return;
+    dirty = false;
+
+    const tmpPath = `${filepath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, filepath);
+  }
+
+  return {
+    get data() {
+      return data;
+    },
+
+    /**
+     * Schedule a write of the current data
+     * @returns {Promise<void>} Resolves once the data is on disk
+     */
+    save() {
+      dirty = true;
+      pending = pending
+        .then(write)
+        .catch(error => console.error(`Failed to write ${filepath}:`, error.message));
+      return pending;
+    },
+
+    /**
+     * Wait for scheduled writes to finish
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return pending;
+    }
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
@@ -0,0 +1,128 @@
+/**
+ * Locale Emulation
+ * Applies a locale (Accept-Language, navigator.language, Intl formatting),
+ * timezone and geolocation so a capture shows what a user in a given
+ * region sees
+ */
+
+/**
+ * Validate locale, timezone and geolocation options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateLocaleOptions(options = {}) {
+  const errors = [];
+
+  if (options.locale !== undefined) {
+    let valid = typeof options.locale === 'string';
+    if (valid) {
+      try {
+        Intl.getCanonicalLocales(options.locale);
+      } catch {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      errors.push('locale must be a BCP 47 language tag, e.g. "de-DE"');
+    }
+  }
+
+  if (options.timezone !== undefined) {
+    let valid = typeof options.timezone === 'string';
+    if (valid) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: options.timezone });
+      } catch {
+        valid = false;
+      }
+    }
+    if (!valid) {
+      errors.push('timezone must be an IANA time zone, e.g. "Europe/Berlin"');
+    }
+  }
+
+  if (options.geolocation !== undefined) {
+    const { geolocation } = options;
+    const inRange = (value, limit) => typeof value === 'number' && value >= -limit && value <= limit;
+
+    if (!geolocation || typeof geolocation !== 'object') {
+      errors.push('geolocation must be { latitude, longitude, accuracy }');
+    } else {
+      if (!inRange(geolocation.latitude, 90)) {
+        errors.push('geolocation.latitude must be between -90 and 90');
+      }
+      if (!inRange(geolocation.longitude, 180)) {
+        errors.push('geolocation.longitude must be between -180 and 180');
+      }
+      if (geolocation.accuracy !== undefined && (typeof geolocation.accuracy !== 'number' || geolocation.accuracy < 0)) {
+        errors.push('geolocation.accuracy must be a non-negative number of meters');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build an Accept-Language header for a locale ("de-DE" -> "de-DE,de;q=0.9")
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string} Header value
+ */
+function toAcceptLanguage(locale) {
+  const [canonical] = Intl.getCanonicalLocales(locale);
+  const language = canonical.split('-')[0];
+  return language === canonical ? canonical : `${canonical},${language};q=0.9`;
+}
+
+/**
+ * Apply locale, timezone and geolocation to a page before navigation
+ * @param {object} page - Puppeteer page object
+ * @param {string} url - URL about to be captured
+ * @param {object} options - Capture options
+ */
+async function applyLocaleOptions(page, url, options) {
+  if (options.locale) {
+    const [locale] = Intl.getCanonicalLocales(options.locale);
+
+    await page.setExtraHTTPHeaders({ 'Accept-Language': toAcceptLanguage(locale) });
+
+    // Intl date, number and currency formatting; the session must stay
+    // attached for the override to last, so it is closed with the page
+    const client = await page.target().createCDPSession();
+    await client.send('Emulation.setLocaleOverride', { locale });
+
+    await page.evaluateOnNewDocument(language => {
+      Object.defineProperty(navigator, 'language', { get: () => language });
+      Object.defineProperty(navigator, 'languages', { get: () => [language, language.split('-')[0]] });
+    }, locale);
+  }
+
+  if (options.timezone) {
+    await page.emulateTimezone(options.timezone);
+  }
+
+  if (options.geolocation) {
+    // Granted for the target origin on the page's own browser context so the
+    // page's geolocation request succeeds without a prompt; the pool clears
+    // it when the page is released
+    await page.browserContext().overridePermissions(new URL(url).origin, ['geolocation']);
+    await page.setGeolocation({
+      latitude: options.geolocation.latitude,
+      longitude: options.geolocation.longitude,
+      accuracy: options.geolocation.accuracy !== undefined ? options.geolocation.accuracy : 10
+    });
+  }
+
+  if (options.locale || options.timezone || options.geolocation) {
+    const summary = [];
+    if (options.locale) summary.push(`locale: ${options.locale}`);
+    if (options.timezone) summary.push(`timezone: ${options.timezone}`);
+    if (options.geolocation) summary.push(`geolocation: ${options.geolocation.latitude},${options.geolocation.longitude}`);
+    console.log(`🌍 Emulating ${summary.join(', ')}`);
+  }
+}
+
+module.exports = {
+  validateLocaleOptions,
+  applyLocaleOptions
+};
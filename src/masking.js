@@ -0,0 +1,209 @@
+/**
+ * Element Masking
+ * Hides, removes or redacts elements (cookie banners, chat widgets,
+ * personal data) after navigation and before capture
+ */
+
+const { getSelectorError, toQuerySelector } = require('./selectors');
+
+const MASK_ACTIONS = {
+  removeSelectors: 'remove',
+  hideSelectors: 'hide',
+  redactSelectors: 'redact'
+};
+
+const REDACT_MODES = ['box', 'blur'];
+
+const MAX_MASK_SELECTORS = 50;
+
+/**
+ * Validate masking options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateMaskOptions(options = {}) {
+  const errors = [];
+
+  for (const field of Object.keys(MASK_ACTIONS)) {
+    const value = options[field];
+    if (value === undefined) continue;
+
+    if (!Array.isArray(value) || !value.every(selector => typeof selector === 'string' && selector.trim())) {
+      errors.push(`${field} must be an array of selectors`);
+    } else if (value.length > MAX_MASK_SELECTORS) {
+      errors.push(`${field} may contain at most ${MAX_MASK_SELECTORS} selectors`);
+    } else {
+      value.forEach((selector, index) => {
+        const error = getSelectorError(selector);
+        if (error) {
+          errors.push(`${field}[${index}] is invalid: ${error}`);
+        }
+      });
+    }
+  }
+
+  if (options.redactMode !== undefined && !REDACT_MODES.includes(options.redactMode)) {
+    errors.push(`redactMode must be one of: ${REDACT_MODES.join(', ')}`);
+  }
+
+  if (options.redactColor !== undefined && (typeof options.redactColor !== 'string' || !/^[#a-z0-9(),.%\s]+$/i.test(options.redactColor))) {
+    errors.push('redactColor must be a CSS color');
+  }
+
+  return errors;
+}
+
+/**
+ * Find the elements a mask selector matches
+ * Resolved in Node so engine selectors (xpath=, text=, role=) work too.
+ * @param {object} page - Puppeteer page object
+ * @param {string} selector - Selector, optionally prefixed with an engine
+ * @returns {Promise<array|null>} Element handles, or null if the selector is invalid
+ */
+async function findMaskElements(page, selector) {
+  try {
+    return await page.$$(toQuerySelector(selector));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Redact elements inside the page
+ * The element itself is filtered (painted over in one color, or blurred),
+ * so the redaction moves with it through any later layout change.
+ * @param {string} mode - box or blur
+ * @param {string} color - Fill color for box mode
+ * @param {...object} elements - Elements to redact
+ * @returns {number} Elements that could not be redacted
+ */
+function redactInPage(mode, color, ...elements) {
+  const filterId = 'screenshot-redaction-fill';
+
+  if (mode === 'box' && !document.getElementById(filterId)) {
+    // Flood the element's whole box, its descendants included
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.position = 'absolute';
+    const filter = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
+    filter.setAttribute('id', filterId);
+    for (const [name, value] of [['x', '0'], ['y', '0'], ['width', '1'], ['height', '1']]) {
+      filter.setAttribute(name, value);
+    }
+    const flood = document.createElementNS('http://www.w3.org/2000/svg', 'feFlood');
+    flood.setAttribute('flood-color', color);
+    filter.appendChild(flood);
+    svg.appendChild(filter);
+    document.documentElement.appendChild(svg);
+  }
+
+  const value = mode === 'blur' ? 'blur(16px)' : `url("#${filterId}")`;
+  let failed = 0;
+
+  for (const element of elements) {
+    element.style.setProperty('filter', value, 'important');
+    element.setAttribute('data-screenshot-redaction', '');
+
+    // Elements without a box of their own cannot be filtered
+    const style = getComputedStyle(element);
+    if (style.filter === 'none' || style.display === 'contents') {
+      failed++;
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Apply hide, remove and redact selectors to the page
+ * Removals and hides run first, then redactions are applied and checked.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @returns {Promise<array>} Applied masks: { action, selector, matched, error? }
+ */
+async function applyMasks(page, options) {
+  const applied = [];
+
+  for (const [field, action] of Object.entries(MASK_ACTIONS)) {
+    if (action === 'redact') continue;
+
+    for (const selector of options[field] || []) {
+      const elements = await findMaskElements(page, selector);
+      if (!elements) {
+        applied.push({ action, selector, matched: 0, error: 'Invalid selector' });
+        continue;
+      }
+
+      await page.evaluate((maskAction, ...nodes) => {
+        for (const node of nodes) {
+          if (maskAction === 'remove') {
+            node.style.setProperty('display', 'none', 'important');
+          } else {
+            node.style.setProperty('visibility', 'hidden', 'important');
+          }
+        }
+      }, action, ...elements);
+      await Promise.all(elements.map(element => element.dispose()));
+
+      applied.push({ action, selector, matched: elements.length });
+    }
+  }
+
+  const redacted = await checkRedactions(page, options);
+  applied.push(...redacted.map(({ selector, matched }) => ({ action: 'redact', selector, matched })));
+
+  if (applied.length > 0) {
+    const total = applied.reduce((sum, mask) => sum + mask.matched, 0);
+    console.log(`🙈 Applied ${applied.length} mask rule(s) to ${total} element(s)`);
+  }
+
+  return applied;
+}
+
+/**
+ * Make sure every element matching a redact selector is redacted
+ * Call right before each screenshot. Elements the page added or re-rendered
+ * since masking are redacted now; if any element cannot be redacted the
+ * capture fails rather than leaking it.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @returns {Promise<array>} Per selector: { selector, matched, failed }
+ * @throws {Error} When a selector cannot be resolved or a matching element could not be redacted
+ */
+async function checkRedactions(page, options) {
+  const selectors = options.redactSelectors || [];
+  const results = [];
+
+  for (const selector of selectors) {
+    const elements = await findMaskElements(page, selector);
+    if (!elements) {
+      results.push({ selector, matched: 0, failed: 0, error: 'Invalid selector' });
+      continue;
+    }
+
+    const failed = elements.length === 0
+      ? 0
+      : await page.evaluate(redactInPage, options.redactMode || 'box', options.redactColor || '#000', ...elements);
+    await Promise.all(elements.map(element => element.dispose()));
+
+    results.push({ selector, matched: elements.length, failed });
+  }
+
+  const failed = results.filter(result => result.failed > 0 || result.error);
+  if (failed.length > 0) {
+    const details = failed.map(result => result.error
+      ? `${result.selector} (${result.error})`
+      : `${result.failed} element(s) matching ${result.selector}`).join(', ');
+    throw new Error(`Redaction check failed: ${details} could not be redacted`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  validateMaskOptions,
+  applyMasks,
+  checkRedactions
+};
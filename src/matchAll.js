@@ -0,0 +1,74 @@
+/**
+ * Match All
+ * Settings for capturing every element a selector matches (component
+ * galleries, product grids) instead of only the first
+ */
+
+const MAX_MATCHES = 100;
+
+/**
+ * Normalize minSize to a width and height
+ * @param {number|object} minSize - Minimum size in CSS pixels, as a number or { width, height }
+ * @returns {object} { width, height }
+ */
+function toMinSize(minSize) {
+  if (typeof minSize === 'number') {
+    return { width: minSize, height: minSize };
+  }
+  return { width: (minSize && minSize.width) || 0, height: (minSize && minSize.height) || 0 };
+}
+
+/**
+ * Validate the matchAll option
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateMatchAllOptions(options = {}) {
+  const { matchAll } = options;
+  if (matchAll === undefined || matchAll === false) return [];
+
+  const errors = [];
+
+  if (matchAll !== true && (!matchAll || typeof matchAll !== 'object' || Array.isArray(matchAll))) {
+    return ['matchAll must be true or { limit, minSize }'];
+  }
+
+  if (options.fullPage || options.clip) {
+    errors.push('matchAll requires a selector and cannot be combined with fullPage or clip');
+  }
+
+  if (matchAll.limit !== undefined && (!Number.isInteger(matchAll.limit) || matchAll.limit < 1 || matchAll.limit > MAX_MATCHES)) {
+    errors.push(`matchAll.limit must be an integer between 1 and ${MAX_MATCHES}`);
+  }
+
+  if (matchAll.minSize !== undefined) {
+    const { minSize } = matchAll;
+    const isSize = value => value === undefined || (typeof value === 'number' && value >= 0);
+    const valid = typeof minSize === 'number'
+      ? minSize >= 0
+      : Boolean(minSize) && typeof minSize === 'object' && isSize(minSize.width) && isSize(minSize.height);
+    if (!valid) {
+      errors.push('matchAll.minSize must be a non-negative number or { width, height } in pixels');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get matchAll settings from capture options
+ * @param {object} options - Capture options
+ * @returns {object} { limit, minSize: { width, height } }
+ */
+function getMatchAllSettings(options) {
+  const settings = options.matchAll === true ? {} : options.matchAll;
+  return {
+    limit: settings.limit || MAX_MATCHES,
+    minSize: toMinSize(settings.minSize)
+  };
+}
+
+module.exports = {
+  validateMatchAllOptions,
+  getMatchAllSettings
+};
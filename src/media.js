@@ -0,0 +1,68 @@
+/**
+ * Media Emulation
+ * Emulates CSS media features (prefers-color-scheme, prefers-reduced-motion,
+ * forced-colors) and the print media type so themes can be captured
+ */
+
+// Option name -> CSS media feature and accepted values
+const MEDIA_FEATURES = {
+  colorScheme: { name: 'prefers-color-scheme', values: ['light', 'dark', 'no-preference'] },
+  reducedMotion: { name: 'prefers-reduced-motion', values: ['reduce', 'no-preference'] },
+  forcedColors: { name: 'forced-colors', values: ['active', 'none'] }
+};
+
+const MEDIA_TYPES = ['screen', 'print'];
+
+/**
+ * Validate colorScheme, reducedMotion, forcedColors and media options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateMediaOptions(options = {}) {
+  const errors = [];
+
+  for (const [field, feature] of Object.entries(MEDIA_FEATURES)) {
+    if (options[field] !== undefined && !feature.values.includes(options[field])) {
+      errors.push(`${field} must be one of: ${feature.values.join(', ')}`);
+    }
+  }
+
+  if (options.media !== undefined && !MEDIA_TYPES.includes(options.media)) {
+    errors.push(`media must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Apply media emulation to a page before navigation
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @returns {Promise<array>} Emulated media features: { name, value }
+ */
+async function applyMediaEmulation(page, options) {
+  const features = Object.entries(MEDIA_FEATURES)
+    .filter(([field]) => options[field] !== undefined)
+    .map(([field, feature]) => ({ name: feature.name, value: options[field] }));
+
+  if (features.length > 0) {
+    await page.emulateMediaFeatures(features);
+  }
+
+  if (options.media) {
+    await page.emulateMediaType(options.media);
+  }
+
+  if (features.length > 0 || options.media) {
+    const summary = features.map(feature => `${feature.name}: ${feature.value}`);
+    if (options.media) summary.push(`media: ${options.media}`);
+    console.log(`🎨 Emulating ${summary.join(', ')}`);
+  }
+
+  return features;
+}
+
+module.exports = {
+  validateMediaOptions,
+  applyMediaEmulation
+};
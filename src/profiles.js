@@ -0,0 +1,303 @@
+/**
+ * Browser Profiles
+ * Named, persistent Chromium user-data directories with an optional login
+ * recipe that can be replayed to refresh the session. Typed recipe values
+ * (usernames, passwords) are encrypted at rest with AES-256-GCM.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,63}$/;
+
+// Login recipe step fields holding typed values, encrypted before they are stored
+const SECRET_FIELDS = ['text', 'value'];
+const SEALED_PREFIX = 'v1:';
+
+/**
+ * Derive the recipe encryption key from the configured secret
+ * @param {string} secret - PROFILE_SECRET
+ * @returns {Buffer} 32-byte AES key
+ */
+function deriveRecipeKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'profile-login-recipes', 32));
+}
+
+/**
+ * Encrypt a recipe value
+ * @param {Buffer} key - AES key
+ * @param {*} value - JSON-serializable value
+ * @returns {string} v1:<iv>:<tag>:<ciphertext>, base64url encoded
+ */
+function sealValue(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return SEALED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join(':');
+}
+
+/**
+ * Decrypt a recipe value
+ * @param {Buffer} key - AES key
+ * @param {string} sealed - Output of sealValue
+ * @returns {*} Original value
+ * @throws {Error} If the value was encrypted with a different PROFILE_SECRET or was altered
+ */
+function openValue(key, sealed) {
+  try {
+    const [iv, tag, data] = sealed.substring(SEALED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  } catch {
+    throw new Error('Login recipe cannot be decrypted; PROFILE_SECRET changed since it was saved, update the recipe');
+  }
+}
+
+/**
+ * Create a profile store
+ * @param {object} options - Store options
+ * @param {object} options.store - JSON store used to persist profile metadata
+ * @param {string} options.directory - Directory holding each profile's user-data directory
+ * @param {string} options.secret - Secret the login recipe encryption key is derived from
+ * @returns {object} Store with create, find, list, update, remove, getLoginRecipe, getBrowserProfile and recordLogin methods
+ */
+function createProfileStore(options = {}) {
+  const { store, directory, secret } = options;
+
+  if (!store || !directory || !secret) {
+    throw new Error('Profile store requires a store, a directory and a secret');
+  }
+
+  if (!store.data.profiles) {
+    store.data.profiles = {};
+  }
+
+  const recipeKey = deriveRecipeKey(secret);
+
+  /**
+   * Encrypt the typed values of a login recipe step for storage
+   * @param {object} step - Action step with plain values
+   * @returns {object} Action step with sealed values
+   */
+  function sealStep(step) {
+    const stored = { ...step, sealed: true };
+    for (const field of SECRET_FIELDS) {
+      if (step[field] !== undefined) {
+        stored[field] = sealValue(recipeKey, step[field]);
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Decrypt one stored recipe step
+   * @param {object} step - Stored action step
+   * @returns {object} Action step with plain values
+   */
+  function openStep(step) {
+    const { sealed, ...plain } = step;
+    if (!sealed) {
+      return plain;
+    }
+
+    for (const field of SECRET_FIELDS) {
+      if (plain[field] !== undefined) {
+        plain[field] = openValue(recipeKey, plain[field]);
+      }
+    }
+    return plain;
+  }
+
+  // Encrypt recipe values saved before they were encrypted at rest
+  const unsealed = Object.values(store.data.profiles)
+    .filter(profile => profile.loginRecipe.some(step => !step.sealed));
+  if (unsealed.length > 0) {
+    unsealed.forEach(profile => {
+      profile.loginRecipe = profile.loginRecipe.map(step => step.sealed ? step : sealStep(step));
+    });
+    store.save();
+  }
+
+  /**
+   * Find a profile owned by a key by ID or name
+   * @param {string} owner - Owning API key ID
+   * @param {string} idOrName - Profile ID or name
+   * @returns {object|null} Profile record
+   */
+  function find(owner, idOrName) {
+    return Object.values(store.data.profiles).find(profile =>
+      profile.owner === owner && (profile.id === idOrName || profile.name === idOrName)
+    ) || null;
+  }
+
+  /**
+   * Create a profile
+   * @param {object} params - Profile settings
+   * @param {string} params.name - Name, unique per owner
+   * @param {string} params.owner - Owning API key ID
+   * @param {string} params.loginUrl - Page the login recipe starts on (optional)
+   * @param {array} params.loginRecipe - Action steps that log in (optional)
+   * @param {string} params.successSelector - Selector present once logged in (optional)
+   * @returns {object} Profile record
+   */
+  function create({ name, owner, loginUrl = null, loginRecipe = [], successSelector = null }) {
+    if (find(owner, name)) {
+      throw new Error(`Profile ${name} already exists`);
+    }
+
+    const profile = {
+      id: crypto.randomUUID(),
+      name,
+      owner,
+      loginUrl,
+      loginRecipe: loginRecipe.map(sealStep),
+      successSelector,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      lastLoginAt: null,
+      lastLoginError: null
+    };
+
+    store.data.profiles[profile.id] = profile;
+    store.save();
+    return profile;
+  }
+
+  /**
+   * List profiles
+   * @param {string} owner - Only profiles owned by this key (optional)
+   * @returns {array} Profile records, newest first
+   */
+  function list(owner) {
+    return Object.values(store.data.profiles)
+      .filter(profile => !owner || profile.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update a profile's login settings
+   * @param {string} id - Profile ID
+   * @param {object} fields - loginUrl, loginRecipe and/or successSelector
+   * @returns {object|null} Updated profile
+   */
+  function update(id, fields) {
+    const profile = store.data.profiles[id];
+    if (!profile) {
+      return null;
+    }
+
+    for (const field of ['loginUrl', 'successSelector']) {
+      if (fields[field] !== undefined) {
+        profile[field] = fields[field];
+      }
+    }
+    if (fields.loginRecipe !== undefined) {
+      profile.loginRecipe = fields.loginRecipe.map(sealStep);
+    }
+    profile.updatedAt = new Date().toISOString();
+
+    store.save();
+    return profile;
+  }
+
+  /**
+   * Delete a profile and its user-data directory
+   * @param {string} id - Profile ID
+   * @returns {Promise<object|null>} Deleted profile
+   */
+  async function remove(id) {
+    const profile = store.data.profiles[id];
+    if (!profile) {
+      return null;
+    }
+
+    delete store.data.profiles[id];
+    store.save();
+
+    await fs.rm(path.join(directory, id), { recursive: true, force: true });
+    return profile;
+  }
+
+  /**
+   * Get a profile's login recipe with its typed values decrypted
+   * @param {object} profile - Profile record
+   * @returns {array} Action steps ready to run
+   * @throws {Error} If the values were encrypted with a different secret
+   */
+  function getLoginRecipe(profile) {
+    return profile.loginRecipe.map(openStep);
+  }
+
+  /**
+   * Get what the browser pool needs to launch a profile's browser
+   * @param {string} id - Profile ID
+   * @returns {object} Profile ID and user-data directory
+   */
+  function getBrowserProfile(id) {
+    return {
+      id,
+      userDataDir: path.join(directory, id)
+    };
+  }
+
+  /**
+   * Record the outcome of a login recipe run
+   * @param {string} id - Profile ID
+   * @param {Error} error - Error if the login failed (optional)
+   */
+  function recordLogin(id, error) {
+    const profile = store.data.profiles[id];
+    if (!profile) return;
+
+    if (error) {
+      profile.lastLoginError = error.message;
+    } else {
+      profile.lastLoginAt = new Date().toISOString();
+      profile.lastLoginError = null;
+    }
+    store.save();
+  }
+
+  return {
+    create,
+    find,
+    list,
+    update,
+    remove,
+    getLoginRecipe,
+    getBrowserProfile,
+    recordLogin
+  };
+}
+
+/**
+ * Convert a profile to its API representation
+ * Typed values in the login recipe (passwords) are never returned.
+ * @param {object} profile - Profile record
+ * @returns {object} Public profile
+ */
+function serializeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    loginUrl: profile.loginUrl,
+    loginRecipe: profile.loginRecipe.map(({ sealed, ...step }) => ({
+      ...step,
+      ...(step.text !== undefined ? { text: '[REDACTED]' } : {}),
+      ...(step.value !== undefined ? { value: '[REDACTED]' } : {})
+    })),
+    successSelector: profile.successSelector,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    lastLoginAt: profile.lastLoginAt,
+    lastLoginError: profile.lastLoginError
+  };
+}
+
+module.exports = {
+  PROFILE_NAME_PATTERN,
+  createProfileStore,
+  serializeProfile
+};
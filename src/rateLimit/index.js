@@ -0,0 +1,31 @@
+/**
+ * Rate Limit Stores
+ * Selects the store configured by RATE_LIMIT_STORE. Every store implements
+ * consume(key, limit, windowMs) and close().
+ */
+
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+/**
+ * Create the rate limit store described by the configuration
+ * @param {object} config - Configuration object
+ * @returns {object} Rate limit store
+ */
+function createRateLimitStore(config) {
+  switch (config.rateLimitStore) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis':
+      return createRedisStore({ url: config.redisUrl });
+    default:
+      throw new Error(`Unsupported rate limit store: ${config.rateLimitStore}`);
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  createRateLimitStore
+};
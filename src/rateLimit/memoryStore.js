@@ -0,0 +1,63 @@
+/**
+ * In-Memory Rate Limit Store
+ * Sliding window log kept in process memory; limits are per server instance
+ */
+
+/**
+ * Create an in-memory rate limit store
+ * @returns {object} Store with consume and close methods
+ */
+function createMemoryStore() {
+  const requests = new Map();
+
+  // Forget idle keys so the map does not grow without bound
+  let longestWindow = 0;
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, timestamps] of requests) {
+      if (timestamps.length === 0 || now - timestamps[timestamps.length - 1] > longestWindow) {
+        requests.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    type: 'memory',
+
+    /**
+     * Record a request if it fits in the window
+     * @param {string} key - Limiter key
+     * @param {number} limit - Maximum requests per window
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<object>} allowed flag, request count and ms until a slot frees up
+     */
+    async consume(key, limit, windowMs) {
+      const now = Date.now();
+      longestWindow = Math.max(longestWindow, windowMs);
+
+      // Remove old requests outside the window
+      const timestamps = (requests.get(key) || []).filter(timestamp => now - timestamp < windowMs);
+      requests.set(key, timestamps);
+
+      const allowed = timestamps.length < limit;
+      if (allowed) {
+        timestamps.push(now);
+      }
+
+      return {
+        allowed,
+        count: timestamps.length,
+        resetMs: timestamps[0] + windowMs - now
+      };
+    },
+
+    async close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
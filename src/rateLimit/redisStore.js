@@ -0,0 +1,88 @@
+/**
+ * Redis Rate Limit Store
+ * Sliding window log in a sorted set per key, shared by every server
+ * instance. Uses plain commands in MULTI blocks (no Lua) so it also runs
+ * against Redis-protocol stand-ins.
+ */
+
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+/**
+ * Create a Redis rate limit store
+ * @param {object} options - Store options
+ * @param {string} options.url - Redis connection URL
+ * @param {string} options.prefix - Key prefix
+ * @param {object} options.client - Existing ioredis-compatible client (optional)
+ * @returns {object} Store with consume and close methods
+ */
+function createRedisStore(options = {}) {
+  const prefix = options.prefix || 'ratelimit:';
+  const client = options.client || new Redis(options.url || 'redis://127.0.0.1:6379', {
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+
+  client.on('error', (error) => {
+    console.error('Rate limit store (Redis) error:', error.message);
+  });
+
+  /**
+   * Unwrap MULTI results, failing on the first command error
+   * @param {array} results - [error, value] pairs from exec
+   * @returns {array} Values
+   */
+  function unwrap(results) {
+    return results.map(([error, value]) => {
+      if (error) throw error;
+      return value;
+    });
+  }
+
+  return {
+    type: 'redis',
+
+    /**
+     * Record a request if it fits in the window
+     * @param {string} key - Limiter key
+     * @param {number} limit - Maximum requests per window
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<object>} allowed flag, request count and ms until a slot frees up
+     */
+    async consume(key, limit, windowMs) {
+      const redisKey = prefix + key;
+      const now = Date.now();
+      const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+      const [, , count, oldest] = unwrap(await client.multi()
+        .zremrangebyscore(redisKey, 0, now - windowMs)
+        .zadd(redisKey, now, member)
+        .zcard(redisKey)
+        .zrange(redisKey, 0, 0, 'WITHSCORES')
+        .pexpire(redisKey, windowMs)
+        .exec());
+
+      const oldestAt = oldest && oldest.length === 2 ? parseInt(oldest[1]) : now;
+      const allowed = count <= limit;
+
+      // Rejected requests do not count against the window
+      if (!allowed) {
+        await client.zrem(redisKey, member);
+      }
+
+      return {
+        allowed,
+        count: allowed ? count : count - 1,
+        resetMs: oldestAt + windowMs - now
+      };
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore
+};
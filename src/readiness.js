@@ -0,0 +1,244 @@
+/**
+ * Page Readiness
+ * Navigation wait strategies and readiness conditions (JS predicate,
+ * network quiet, fonts and images) checked before capture
+ */
+
+const { toQuerySelector } = require('./selectors');
+
+const WAIT_UNTIL_VALUES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+const DEFAULT_WAIT_UNTIL = 'networkidle2';
+const DEFAULT_IDLE_TIME = 500;
+const MAX_IDLE_TIME = 10000;
+const MAX_IGNORE_PATTERNS = 50;
+
+/**
+ * Validate waitUntil, waitForFunction, waitForNetworkQuiet, waitForFonts and waitForImages
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateReadinessOptions(options = {}) {
+  const errors = [];
+
+  if (options.waitUntil !== undefined) {
+    const values = Array.isArray(options.waitUntil) ? options.waitUntil : [options.waitUntil];
+    if (values.length === 0 || !values.every(value => WAIT_UNTIL_VALUES.includes(value))) {
+      errors.push(`waitUntil must be one or more of: ${WAIT_UNTIL_VALUES.join(', ')}`);
+    }
+  }
+
+  if (options.waitForFunction !== undefined && (typeof options.waitForFunction !== 'string' || !options.waitForFunction.trim())) {
+    errors.push('waitForFunction must be a JavaScript expression string');
+  }
+
+  if (options.waitForNetworkQuiet !== undefined && typeof options.waitForNetworkQuiet !== 'boolean') {
+    const quiet = options.waitForNetworkQuiet;
+
+    if (!quiet || typeof quiet !== 'object' || Array.isArray(quiet)) {
+      errors.push('waitForNetworkQuiet must be true or { idleTime, timeout, ignore }');
+    } else {
+      if (quiet.idleTime !== undefined && (typeof quiet.idleTime !== 'number' || quiet.idleTime < 0 || quiet.idleTime > MAX_IDLE_TIME)) {
+        errors.push(`waitForNetworkQuiet.idleTime must be between 0 and ${MAX_IDLE_TIME}ms`);
+      }
+      if (quiet.timeout !== undefined && (typeof quiet.timeout !== 'number' || quiet.timeout < 0)) {
+        errors.push('waitForNetworkQuiet.timeout must be a non-negative number of milliseconds');
+      }
+      if (quiet.ignore !== undefined) {
+        if (!Array.isArray(quiet.ignore) || quiet.ignore.length > MAX_IGNORE_PATTERNS) {
+          errors.push(`waitForNetworkQuiet.ignore must be an array of at most ${MAX_IGNORE_PATTERNS} patterns`);
+        } else {
+          quiet.ignore.forEach((pattern, index) => {
+            try {
+              if (typeof pattern !== 'string') throw new Error('not a string');
+              new RegExp(pattern);
+            } catch {
+              errors.push(`waitForNetworkQuiet.ignore[${index}] is not a valid regular expression`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  for (const field of ['waitForFonts', 'waitForImages']) {
+    if (options[field] !== undefined && typeof options[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the page.goto waitUntil setting for a capture
+ * @param {object} options - Capture options
+ * @returns {string|array} waitUntil value
+ */
+function getWaitUntil(options) {
+  return options.waitUntil || DEFAULT_WAIT_UNTIL;
+}
+
+/**
+ * Start counting in-flight requests so network quiet can be awaited after navigation
+ * Must be called before navigation so requests started by the document are seen.
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ * @returns {object|null} Tracker with a wait(defaultTimeout) method, or null when not requested
+ */
+function trackNetworkQuiet(page, options) {
+  if (!options.waitForNetworkQuiet) {
+    return null;
+  }
+
+  const settings = options.waitForNetworkQuiet === true ? {} : options.waitForNetworkQuiet;
+  const idleTime = settings.idleTime !== undefined ? settings.idleTime : DEFAULT_IDLE_TIME;
+  const ignore = (settings.ignore || []).map(pattern => new RegExp(pattern));
+
+  const inflight = new Set();
+  let onChange = () => {};
+
+  const isIgnored = request => ignore.some(pattern => pattern.test(request.url()));
+  const started = request => {
+    if (isIgnored(request)) return;
+    inflight.add(request);
+    onChange();
+  };
+  const finished = request => {
+    if (!inflight.delete(request)) return;
+    onChange();
+  };
+
+  page.on('request', started);
+  page.on('requestfinished', finished);
+  page.on('requestfailed', finished);
+
+  /**
+   * Wait until no tracked request has been in flight for idleTime
+   * @param {number} defaultTimeout - Timeout when the options do not set one
+   * @returns {Promise<void>}
+   */
+  function wait(defaultTimeout) {
+    const timeout = settings.timeout !== undefined ? settings.timeout : defaultTimeout;
+    console.log(`🌐 Waiting for ${idleTime}ms of network quiet${ignore.length ? ` (ignoring ${ignore.length} pattern(s))` : ''}`);
+
+    return new Promise((resolve, reject) => {
+      let idleTimer = null;
+
+      const deadline = setTimeout(() => {
+        done();
+        reject(new Error(`Readiness timeout: network did not go quiet within ${timeout}ms (${inflight.size} request(s) in flight)`));
+      }, timeout);
+
+      const done = () => {
+        clearTimeout(deadline);
+        clearTimeout(idleTimer);
+        onChange = () => {};
+        page.off('request', started);
+        page.off('requestfinished', finished);
+        page.off('requestfailed', finished);
+      };
+
+      onChange = () => {
+        clearTimeout(idleTimer);
+        if (inflight.size === 0) {
+          idleTimer = setTimeout(() => {
+            done();
+            resolve();
+          }, idleTime);
+        }
+      };
+
+      onChange();
+    });
+  }
+
+  return { wait };
+}
+
+/**
+ * Wait for the caller's JavaScript predicate to return a truthy value
+ * @param {object} page - Puppeteer page object
+ * @param {object} options - Capture options
+ */
+async function waitForPredicate(page, options) {
+  if (!options.waitForFunction) return;
+
+  console.log('⏳ Waiting for waitForFunction to return true');
+  try {
+    await page.waitForFunction(options.waitForFunction, { polling: 'raf', timeout: options.timeout });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Readiness timeout: waitForFunction did not return true within ${options.timeout}ms`);
+    }
+    throw new Error(`waitForFunction failed: ${error.message}`);
+  }
+}
+
+/**
+ * Wait for web fonts to load and images in the target elements to decode
+ * Images are checked inside the elements matched by the selector(s), or the
+ * whole document when capturing a full page or clip.
+ * @param {object} page - Puppeteer page object
+ * @param {string|array} selector - Target selector(s), if any
+ * @param {object} options - Capture options
+ */
+async function waitForAssets(page, selector, options) {
+  if (options.waitForFonts) {
+    console.log('🔤 Waiting for web fonts');
+    let timer;
+    const loaded = await Promise.race([
+      page.evaluate(() => document.fonts.ready.then(() => true)),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), options.timeout);
+      })
+    ]);
+    clearTimeout(timer);
+    if (!loaded) {
+      throw new Error(`Readiness timeout: fonts did not load within ${options.timeout}ms`);
+    }
+  }
+
+  if (options.waitForImages) {
+    // Resolved here so engine selectors (xpath=, text=, role=) work too
+    const selectors = !selector ? [] : Array.isArray(selector) ? selector : [selector];
+    const roots = [];
+    for (const target of selectors) {
+      roots.push(...await page.$$(toQuerySelector(target)).catch(() => []));
+    }
+
+    const pending = await page.evaluate((timeout, ...elements) => {
+      const images = (elements.length > 0 ? elements : [document]).flatMap(root => [
+        ...(root.tagName === 'IMG' ? [root] : []),
+        ...root.querySelectorAll('img')
+      ]);
+
+      // Resolves true once loaded and decoded; broken images count as done
+      const ready = image => (image.complete ? Promise.resolve() : new Promise(resolve => {
+        image.addEventListener('load', resolve, { once: true });
+        image.addEventListener('error', resolve, { once: true });
+      })).then(() => (image.decode ? image.decode().catch(() => {}) : null)).then(() => true);
+
+      const waits = images.map(image => Promise.race([
+        ready(image),
+        new Promise(resolve => setTimeout(() => resolve(false), timeout))
+      ]));
+
+      return Promise.all(waits).then(results => results.filter(done => !done).length);
+    }, options.timeout, ...roots);
+
+    await Promise.all(roots.map(root => root.dispose()));
+
+    if (pending > 0) {
+      throw new Error(`Readiness timeout: ${pending} image(s) did not load within ${options.timeout}ms`);
+    }
+  }
+}
+
+module.exports = {
+  validateReadinessOptions,
+  getWaitUntil,
+  trackNetworkQuiet,
+  waitForPredicate,
+  waitForAssets
+};
@@ -0,0 +1,184 @@
+/**
+ * Capture Regions
+ * Works out the page rectangle to capture for an element (with padding and
+ * scrolling) or an explicit clip, in document coordinates
+ */
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+const SCROLL_STRATEGIES = ['auto', 'start', 'center', 'none', 'fit'];
+
+/**
+ * Normalize padding to per-side values
+ * @param {number|object} padding - Uniform padding or { top, right, bottom, left }
+ * @returns {object} Padding per side in CSS pixels
+ */
+function normalizePadding(padding) {
+  if (!padding) {
+    return { top: 0, right: 0, bottom: 0, left: 0 };
+  }
+
+  if (typeof padding === 'number') {
+    return { top: padding, right: padding, bottom: padding, left: padding };
+  }
+
+  return {
+    top: padding.top || 0,
+    right: padding.right || 0,
+    bottom: padding.bottom || 0,
+    left: padding.left || 0
+  };
+}
+
+/**
+ * Validate padding, clip and scrollIntoView options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateRegionOptions(options = {}) {
+  const errors = [];
+  const isNonNegative = value => typeof value === 'number' && value >= 0;
+
+  if (options.padding !== undefined) {
+    const { padding } = options;
+    const valid = isNonNegative(padding) || (
+      padding && typeof padding === 'object' &&
+      Object.entries(padding).every(([side, value]) => SIDES.includes(side) && isNonNegative(value))
+    );
+    if (!valid) {
+      errors.push('padding must be a non-negative number or an object with top, right, bottom and left');
+    }
+  }
+
+  if (options.clip !== undefined) {
+    const { clip } = options;
+    const valid = clip && typeof clip === 'object' &&
+      isNonNegative(clip.x) && isNonNegative(clip.y) &&
+      typeof clip.width === 'number' && clip.width > 0 &&
+      typeof clip.height === 'number' && clip.height > 0;
+    if (!valid) {
+      errors.push('clip must be { x, y, width, height } with non-negative x/y and positive width/height');
+    }
+    if (options.fullPage) {
+      errors.push('clip cannot be combined with fullPage');
+    }
+  }
+
+  if (options.scrollIntoView !== undefined && !SCROLL_STRATEGIES.includes(options.scrollIntoView)) {
+    errors.push(`scrollIntoView must be one of: ${SCROLL_STRATEGIES.join(', ')}`);
+  }
+
+  if (options.format === 'pdf' && (options.padding !== undefined || options.clip !== undefined)) {
+    errors.push('padding and clip are only supported for image formats');
+  }
+
+  return errors;
+}
+
+/**
+ * Scroll an element into view using the requested strategy
+ * @param {object} element - Puppeteer element handle
+ * @param {string} strategy - auto, start, center, none or fit
+ */
+async function scrollElementIntoView(element, strategy = 'auto') {
+  if (strategy === 'none') return;
+
+  const block = strategy === 'auto' ? 'nearest' : strategy === 'center' ? 'center' : 'start';
+  await element.evaluate((node, position) => {
+    node.scrollIntoView({ block: position, inline: 'nearest' });
+  }, block);
+}
+
+/**
+ * Measure an element in document coordinates
+ * @param {object} element - Puppeteer element handle
+ * @returns {Promise<object>} Element box plus the document size
+ */
+async function measureElement(element) {
+  return element.evaluate(node => {
+    const rect = node.getBoundingClientRect();
+    return {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height,
+      documentWidth: document.documentElement.scrollWidth,
+      documentHeight: document.documentElement.scrollHeight
+    };
+  });
+}
+
+/**
+ * Get the clip rectangle for an element, expanded by padding and clamped to the document
+ * @param {object} element - Puppeteer element handle
+ * @param {object} options - Capture options (padding)
+ * @returns {Promise<object>} Clip { x, y, width, height }
+ */
+async function getElementClip(element, options) {
+  const box = await measureElement(element);
+
+  if (box.width === 0 || box.height === 0) {
+    throw new Error('Element has no visible size and cannot be captured');
+  }
+
+  const padding = normalizePadding(options.padding);
+  const left = Math.max(0, box.x - padding.left);
+  const top = Math.max(0, box.y - padding.top);
+  const right = Math.min(Math.max(box.documentWidth, box.x + box.width), box.x + box.width + padding.right);
+  const bottom = Math.min(Math.max(box.documentHeight, box.y + box.height), box.y + box.height + padding.bottom);
+
+  return {
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top
+  };
+}
+
+/**
+ * Capture an element with a screenshot function that takes a clip
+ * With the 'fit' strategy the viewport is grown to cover an element that
+ * does not fit, so the element is rendered completely, then restored.
+ * @param {object} page - Puppeteer page object
+ * @param {object} element - Puppeteer element handle
+ * @param {object} options - Capture options (padding, scrollIntoView)
+ * @param {function} capture - async (clip) => Buffer
+ * @returns {Promise<Buffer>} Captured image
+ */
+async function captureElementRegion(page, element, options, capture) {
+  const strategy = options.scrollIntoView || 'auto';
+  const viewport = page.viewport();
+
+  await scrollElementIntoView(element, strategy);
+
+  if (strategy !== 'fit' || !viewport) {
+    return capture(await getElementClip(element, options));
+  }
+
+  const box = await measureElement(element);
+  const padding = normalizePadding(options.padding);
+  const neededWidth = Math.ceil(box.width + padding.left + padding.right);
+  const neededHeight = Math.ceil(box.height + padding.top + padding.bottom);
+
+  if (neededWidth <= viewport.width && neededHeight <= viewport.height) {
+    return capture(await getElementClip(element, options));
+  }
+
+  await page.setViewport({
+    ...viewport,
+    width: Math.max(viewport.width, neededWidth),
+    height: Math.max(viewport.height, neededHeight)
+  });
+
+  try {
+    await scrollElementIntoView(element, 'start');
+    return await capture(await getElementClip(element, options));
+  } finally {
+    await page.setViewport(viewport);
+  }
+}
+
+module.exports = {
+  validateRegionOptions,
+  captureElementRegion
+};
@@ -1,23 +1,174 @@
-const puppeteer = require('puppeteer');
 const path = require('path');
-const fs = require('fs').promises;
 const crypto = require('crypto');
+const { createBrowserPool } = require('./browserPool');
+const { createLocalStorage } = require('./storage/localStorage');
+const { getContentType } = require('./storage');
+const { createUrlPolicy } = require('./urlPolicy');
+const { captureOutput, getDefaultQuality } = require('./formats');
+const { applyMasks } = require('./masking');
+const { hasInjections, installPreloadScripts, applyInjections } = require('./injection');
+const { usesPageFunctions, runActions } = require('./actions');
+const { applySessionOptions, getRequestHeaders, redactUrl } = require('./session');
+const { applyDeviceOptions } = require('./devices');
+const { applyMediaEmulation } = require('./media');
+const { applyLocaleOptions } = require('./locale');
+const { getWaitUntil, trackNetworkQuiet, waitForPredicate, waitForAssets } = require('./readiness');
+const { installDeterministicScripts, freezePage } = require('./deterministic');
+const { autoScroll, neutralizeFixedElements } = require('./fullPage');
+const { getMatchAllSettings } = require('./matchAll');
+const { parseSelector, toQuerySelector } = require('./selectors');
+
+// Shared browser pool, replaced by the server with a configured one
+let browserPool = null;
+
+/**
+ * Use the given browser pool for all captures
+ * @param {object} pool - Pool created by createBrowserPool
+ */
+function setBrowserPool(pool) {
+  browserPool = pool;
+}
+
+/**
+ * Get the shared browser pool, creating a default one if none was set
+ * @returns {object} Browser pool
+ */
+function getBrowserPool() {
+  if (!browserPool) {
+    browserPool = createBrowserPool();
+  }
+  return browserPool;
+}
+
+// Default URL policy, replaced by the server with the configured one
+let urlPolicy = null;
+
+/**
+ * Use the given URL policy for captures that do not pass their own
+ * @param {object} policy - Policy created by createUrlPolicy
+ */
+function setUrlPolicy(policy) {
+  urlPolicy = policy;
+}
+
+/**
+ * Get the default URL policy, blocking private addresses if none was set
+ * @returns {object} URL policy
+ */
+function getUrlPolicy() {
+  if (!urlPolicy) {
+    urlPolicy = createUrlPolicy();
+  }
+  return urlPolicy;
+}
+
+/**
+ * Enforce a URL policy on every request the page makes
+ * Redirects and sub-resources are intercepted too, so a public page cannot
+ * pull in internal addresses. The pool's egress proxy checks the policy
+ * again when connections open, which also covers WebSockets.
+ * @param {object} page - Puppeteer page object
+ * @param {object} policy - URL policy
+ * @param {function} getHeaders - Returns extra headers for an allowed request URL (optional)
+ * @returns {Promise<object>} Tracker with the blocked main-frame navigation, if any
+ */
+async function enforceUrlPolicy(page, policy, getHeaders = null) {
+  const tracker = { blockedNavigation: null };
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    let verdict;
+    try {
+      verdict = await policy.checkRequest(request.url());
+    } catch (error) {
+      verdict = { allowed: false, reason: error.message };
+    }
+
+    // Resolving can throw (page closed, invalid headers); an unhandled
+    // rejection here would take the whole process down
+    try {
+      if (verdict.allowed) {
+        const extraHeaders = getHeaders && getHeaders(request.url());
+        await (extraHeaders
+          ? request.continue({ headers: { ...request.headers(), ...extraHeaders } })
+          : request.continue());
+        return;
+      }
+
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        tracker.blockedNavigation = { url: request.url(), reason: verdict.reason };
+      }
+      console.warn(`🚫 Blocked request to ${redactUrl(request.url())}: ${verdict.reason}`);
+      await request.abort('blockedbyclient');
+    } catch (error) {
+      console.warn(`Failed to resolve request to ${redactUrl(request.url())}:`, error.message);
+      await request.abort('failed').catch(() => {});
+    }
+  });
+
+  return tracker;
+}
+
+// Storage driver for captured files, replaced by the server with the configured one
+let storage = null;
+
+/**
+ * Use the given storage driver for all captures
+ * @param {object} driver - Driver created by createStorage
+ */
+function setStorage(driver) {
+  storage = driver;
+}
+
+/**
+ * Get the storage driver, defaulting to the local screenshots directory
+ * @returns {object} Storage driver
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createLocalStorage({ directory: path.join(__dirname, '..', 'screenshots') });
+  }
+  return storage;
+}
+
+/**
+ * Write a captured image to storage
+ * @param {Buffer} buffer - Image data
+ * @param {string} filename - File name to store it under
+ * @returns {Promise<object>} Stored file details
+ */
+async function saveScreenshot(buffer, filename) {
+  const driver = getStorage();
+  await driver.write(filename, buffer, getContentType(filename));
+
+  return {
+    filename,
+    url: await driver.getUrl(filename),
+    size: `${Math.round(buffer.length / 1024)}KB`,
+    bytes: buffer.length
+  };
+}
 
 /**
  * Take a screenshot of a specific element or full page on a webpage
  * @param {string} url - The URL to navigate to
- * @param {string|array} selector - CSS selector(s) for the element(s) to screenshot
+ * @param {string|array} selector - Selector(s) for the element(s) to screenshot
  * @param {object} options - Screenshot options
- * @returns {object} Result with filename, path, and size (or array for multiple selectors)
+ * @param {object} context - Server-side settings that callers cannot override
+ * @param {object} context.urlPolicy - URL policy for this capture (defaults to the shared policy)
+ * @param {object} context.profile - Persistent browser profile to capture with (optional)
+ * @returns {object} Result with filename, url, size, redactions, scriptErrors, viewport and browserMs (or array for multiple selectors)
  */
-async function takeScreenshot(url, selector, options = {}) {
-  let browser;
+async function takeScreenshot(url, selector, options = {}, context = {}) {
+  let lease;
+  let leasedAt;
   
   try {
     // Default options
     const defaultOptions = {
       format: 'png',
-      quality: 90,
       fullPage: false,
       waitForSelector: true,
       timeout: 30000,
@@ -26,25 +177,22 @@ async function takeScreenshot(url, selector, options = {}) {
         height: 1080
       },
       viewportWidth: null,
-      viewportHeight: null,
-      browserOptions: {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process',
-          '--disable-gpu'
-        ]
-      }
+      viewportHeight: null
     };
 
     const mergedOptions = { ...defaultOptions, ...options };
     mergedOptions.viewport = { ...defaultOptions.viewport, ...options.viewport };
-    mergedOptions.browserOptions = { ...defaultOptions.browserOptions, ...options.browserOptions };
+    if (mergedOptions.quality === undefined) {
+      mergedOptions.quality = getDefaultQuality(mergedOptions.format, 90);
+    }
+
+    // Device emulation sets the viewport, pixel ratio, touch and user agent
+    applyDeviceOptions(mergedOptions);
+
+    // Deterministic captures always wait for fonts unless told otherwise
+    if (mergedOptions.deterministic && mergedOptions.waitForFonts === undefined) {
+      mergedOptions.waitForFonts = true;
+    }
 
     // Handle custom viewport dimensions
     if (mergedOptions.viewportWidth && mergedOptions.viewportHeight) {
@@ -60,19 +208,64 @@ async function takeScreenshot(url, selector, options = {}) {
       mergedOptions.viewport.height = height;
     }
 
-    // Launch browser
-    browser = await puppeteer.launch(mergedOptions.browserOptions);
-    const page = await browser.newPage();
+    // Refuse URLs the policy blocks before spending a browser page on them
+    const policy = context.urlPolicy || getUrlPolicy();
+    const verdict = await policy.check(url);
+    if (!verdict.allowed) {
+      throw new Error(`URL not allowed: ${verdict.reason}`);
+    }
+
+    // Get a page from the warm browser pool
+    lease = await getBrowserPool().acquirePage({ profile: context.profile, urlPolicy: policy });
+    leasedAt = Date.now();
+    const page = lease.page;
+    const requestTracker = await enforceUrlPolicy(page, policy, getRequestHeaders(url, mergedOptions));
 
     // Set viewport
     await page.setViewport(mergedOptions.viewport);
 
+    // Color scheme, reduced motion, forced colors and print media
+    await applyMediaEmulation(page, mergedOptions);
+
+    // Cookies, HTTP auth and user agent for pages behind a login
+    await applySessionOptions(page, url, mergedOptions);
+
+    // Locale, timezone and geolocation of the region being reproduced
+    await applyLocaleOptions(page, url, mergedOptions);
+
+    if (hasInjections(mergedOptions) || usesPageFunctions(mergedOptions.actions) || mergedOptions.waitForFunction || mergedOptions.deterministic) {
+      // Injected styles and scripts must not be blocked by the page's CSP
+      await page.setBypassCSP(true);
+      await installDeterministicScripts(page, mergedOptions);
+      await installPreloadScripts(page, mergedOptions);
+    }
+
+    // Count requests from the start so network quiet can be awaited after load
+    const networkQuiet = trackNetworkQuiet(page, mergedOptions);
+
     // Navigate to URL
-    console.log(`📖 Navigating to: ${url}`);
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: mergedOptions.timeout 
-    });
+    console.log(`📖 Navigating to: ${redactUrl(url)}`);
+    try {
+      await page.goto(url, { 
+        waitUntil: getWaitUntil(mergedOptions),
+        timeout: mergedOptions.timeout 
+      });
+    } catch (error) {
+      // A redirect to a blocked address surfaces as a generic network error
+      if (requestTracker.blockedNavigation) {
+        throw new Error(`URL not allowed: redirect to ${requestTracker.blockedNavigation.url} blocked (${requestTracker.blockedNavigation.reason})`);
+      }
+      throw error;
+    }
+
+    // Readiness conditions for pages that keep loading after navigation
+    if (networkQuiet) {
+      await networkQuiet.wait(mergedOptions.timeout);
+    }
+    await waitForPredicate(page, mergedOptions);
+
+    // Custom CSS and scripts, with any errors reported in the result
+    const scriptErrors = await applyInjections(page, mergedOptions);
 
     // Wait for additional delay if specified
     if (mergedOptions.delay && mergedOptions.delay > 0) {
@@ -80,26 +273,102 @@ async function takeScreenshot(url, selector, options = {}) {
       await page.waitForTimeout(mergedOptions.delay);
     }
 
-    // Check if we should capture full page
-    if (mergedOptions.fullPage) {
-      return await captureFullPage(page, url, mergedOptions);
+    // Scripted interaction (open menus, switch tabs, fill forms)
+    if (mergedOptions.actions && mergedOptions.actions.length > 0) {
+      await runActions(page, mergedOptions.actions, mergedOptions.actionTimeout || mergedOptions.timeout);
     }
 
-    // Check if selector is an array (multiple selectors)
-    if (Array.isArray(selector)) {
-      return await captureMultipleSelectors(page, url, selector, mergedOptions);
+    // Scroll through the page so lazy-loaded content is present
+    await autoScroll(page, mergedOptions);
+
+    // Settle animations, transitions, carets and videos
+    await freezePage(page, mergedOptions);
+
+    // Fonts and images can change layout, so wait before masking
+    await waitForAssets(page, selector, mergedOptions);
+
+    // Hide, remove or redact elements before anything is captured
+    const redactions = await applyMasks(page, mergedOptions);
+
+    let result;
+
+    if (mergedOptions.fullPage) {
+      // Full page capture
+      result = await captureFullPage(page, url, mergedOptions);
+    } else if (mergedOptions.clip && !selector) {
+      // Explicit page region
+      result = await captureClip(page, url, mergedOptions);
+    } else if (Array.isArray(selector)) {
+      // Multiple selectors capture
+      result = await captureMultipleSelectors(page, url, selector, mergedOptions);
+    } else if (mergedOptions.matchAll) {
+      // Every element the selector matches
+      result = await captureAllMatches(page, url, selector, mergedOptions);
+    } else {
+      // Single selector capture
+      result = await captureSingleSelector(page, url, selector, mergedOptions);
     }
 
-    // Single selector capture
-    return await captureSingleSelector(page, url, selector, mergedOptions);
+    result.redactions = redactions;
+    result.scriptErrors = scriptErrors;
+    result.viewport = mergedOptions.viewport;
+
+    // Browser time used, for usage accounting
+    result.browserMs = Date.now() - leasedAt;
+    return result;
 
   } catch (error) {
     console.error('Screenshot failed:', error.message);
+    if (leasedAt) {
+      error.browserMs = Date.now() - leasedAt;
+    }
     throw error;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
+/**
+ * Replay a profile's login recipe in its persistent browser
+ * @param {object} login - Login settings
+ * @param {string} login.url - Page the recipe starts on
+ * @param {array} login.actions - Action steps that log in
+ * @param {string} login.successSelector - Selector present once logged in (optional)
+ * @param {number} login.timeout - Navigation and step timeout in ms
+ * @param {object} context - Profile and URL policy
+ * @returns {Promise<object>} Final URL and browserMs
+ */
+async function runLoginRecipe(login, context) {
+  const policy = context.urlPolicy || getUrlPolicy();
+  const verdict = await policy.check(login.url);
+  if (!verdict.allowed) {
+    throw new Error(`URL not allowed: ${verdict.reason}`);
+  }
+
+  const lease = await getBrowserPool().acquirePage({ profile: context.profile, urlPolicy: policy });
+  const leasedAt = Date.now();
+
+  try {
+    const page = lease.page;
+    await enforceUrlPolicy(page, policy);
+
+    console.log(`🔑 Logging in profile ${context.profile.id} at ${redactUrl(login.url)}`);
+    await page.goto(login.url, { waitUntil: 'networkidle2', timeout: login.timeout });
+    await runActions(page, login.actions, login.timeout);
+
+    if (login.successSelector) {
+      try {
+        await page.waitForSelector(toQuerySelector(login.successSelector), { timeout: login.timeout });
+      } catch (error) {
+        throw new Error(`Login did not reach ${login.successSelector}: ${error.message}`);
+      }
     }
+
+    return { url: redactUrl(page.url()), browserMs: Date.now() - leasedAt };
+  } finally {
+    await lease.release();
   }
 }
 
@@ -114,34 +383,45 @@ async function captureFullPage(page, url, options) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
   const filename = `fullpage-${urlHash}-${timestamp}.${options.format}`;
-  
-  const screenshotsDir = path.join(__dirname, '..', 'screenshots');
-  const filepath = path.join(screenshotsDir, filename);
+
+  if (options.neutralizeFixed) {
+    await neutralizeFixedElements(page);
+  }
 
   console.log(`📸 Taking full page screenshot`);
-  const screenshotOptions = {
-    path: filepath,
-    type: options.format,
-    fullPage: true
-  };
+  const buffer = await captureOutput(page, null, options);
+  const saved = await saveScreenshot(buffer, filename);
 
-  if (options.format === 'jpeg') {
-    screenshotOptions.quality = options.quality;
-  }
+  console.log(`✅ Full page screenshot saved: ${filename} (${saved.size})`);
 
-  await page.screenshot(screenshotOptions);
+  return {
+    ...saved,
+    type: 'fullPage'
+  };
+}
+
+/**
+ * Capture an explicit rectangle of the page
+ * @param {object} page - Puppeteer page object
+ * @param {string} url - URL being captured
+ * @param {object} options - Screenshot options, including clip { x, y, width, height }
+ * @returns {object} Screenshot result
+ */
+async function captureClip(page, url, options) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
+  const filename = `clip-${urlHash}-${timestamp}.${options.format}`;
 
-  const stats = await fs.stat(filepath);
-  const fileSizeKB = Math.round(stats.size / 1024);
+  const { x, y, width, height } = options.clip;
+  console.log(`📸 Taking clip screenshot: ${width}x${height} at ${x},${y}`);
+  const buffer = await captureOutput(page, null, options);
+  const saved = await saveScreenshot(buffer, filename);
 
-  console.log(`✅ Full page screenshot saved: ${filename} (${fileSizeKB}KB)`);
+  console.log(`✅ Clip screenshot saved: ${filename} (${saved.size})`);
 
   return {
-    filename,
-    path: filepath,
-    size: `${fileSizeKB}KB`,
-    bytes: stats.size,
-    type: 'fullPage'
+    ...saved,
+    type: 'clip'
   };
 }
 
@@ -149,7 +429,7 @@ async function captureFullPage(page, url, options) {
  * Capture multiple selectors in one request
  * @param {object} page - Puppeteer page object
  * @param {string} url - URL being captured
- * @param {array} selectors - Array of CSS selectors
+ * @param {array} selectors - Array of selectors
  * @param {object} options - Screenshot options
  * @returns {array} Array of screenshot results
  */
@@ -163,16 +443,18 @@ async function captureMultipleSelectors(page, url, selectors, options) {
     const selector = selectors[i];
     
     try {
+      const query = toQuerySelector(selector);
+
       // Wait for selector if requested
       if (options.waitForSelector) {
         console.log(`🔍 Waiting for selector ${i + 1}/${selectors.length}: ${selector}`);
-        await page.waitForSelector(selector, { 
+        await page.waitForSelector(query, { 
           timeout: options.timeout 
         });
       }
 
       // Find the element
-      const element = await page.$(selector);
+      const element = await page.$(query);
       if (!element) {
         results.push({
           selector,
@@ -186,35 +468,17 @@ async function captureMultipleSelectors(page, url, selectors, options) {
       const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
       const selectorHash = crypto.createHash('md5').update(selector).digest('hex').substring(0, 8);
       const filename = `multi-${urlHash}-${selectorHash}-${i + 1}-${timestamp}.${options.format}`;
-      
-      const screenshotsDir = path.join(__dirname, '..', 'screenshots');
-      const filepath = path.join(screenshotsDir, filename);
 
       // Take screenshot of the element
-      const screenshotOptions = {
-        path: filepath,
-        type: options.format
-      };
-
-      if (options.format === 'jpeg') {
-        screenshotOptions.quality = options.quality;
-      }
-
-      await element.screenshot(screenshotOptions);
-
-      // Get file size
-      const stats = await fs.stat(filepath);
-      const fileSizeKB = Math.round(stats.size / 1024);
+      const buffer = await captureOutput(page, element, options);
+      const saved = await saveScreenshot(buffer, filename);
 
-      console.log(`✅ Screenshot ${i + 1}/${selectors.length} saved: ${filename} (${fileSizeKB}KB)`);
+      console.log(`✅ Screenshot ${i + 1}/${selectors.length} saved: ${filename} (${saved.size})`);
 
       results.push({
         selector,
         success: true,
-        filename,
-        path: filepath,
-        size: `${fileSizeKB}KB`,
-        bytes: stats.size
+        ...saved
       });
 
     } catch (error) {
@@ -236,25 +500,104 @@ async function captureMultipleSelectors(page, url, selectors, options) {
   };
 }
 
+/**
+ * Capture every element matching a selector
+ * Elements smaller than minSize (or not rendered) are skipped; results use
+ * the multiple selectors shape with each element's index among the matches.
+ * @param {object} page - Puppeteer page object
+ * @param {string} url - URL being captured
+ * @param {string} selector - Selector (CSS or engine-prefixed)
+ * @param {object} options - Screenshot options, including matchAll
+ * @returns {object} Screenshot results
+ */
+async function captureAllMatches(page, url, selector, options) {
+  const { limit, minSize } = getMatchAllSettings(options);
+  const query = toQuerySelector(selector);
+
+  if (options.waitForSelector) {
+    console.log(`🔍 Waiting for selector: ${selector}`);
+    await page.waitForSelector(query, { 
+      timeout: options.timeout 
+    });
+  }
+
+  const elements = await page.$$(query);
+  if (elements.length === 0) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+
+  console.log(`📸 Capturing up to ${limit} of ${elements.length} elements matching ${selector}`);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
+  const selectorHash = crypto.createHash('md5').update(selector).digest('hex').substring(0, 8);
+  const results = [];
+  let skippedCount = 0;
+
+  for (let i = 0; i < elements.length && results.length < limit; i++) {
+    const box = await elements[i].boundingBox();
+    if (!box || box.width < minSize.width || box.height < minSize.height) {
+      skippedCount++;
+      continue;
+    }
+
+    try {
+      const filename = `match-${urlHash}-${selectorHash}-${i + 1}-${timestamp}.${options.format}`;
+      const buffer = await captureOutput(page, elements[i], options);
+      const saved = await saveScreenshot(buffer, filename);
+
+      console.log(`✅ Match ${i + 1}/${elements.length} saved: ${filename} (${saved.size})`);
+
+      results.push({
+        selector,
+        index: i,
+        success: true,
+        ...saved
+      });
+    } catch (error) {
+      console.error(`❌ Match ${i + 1}/${elements.length} failed for ${selector}:`, error.message);
+      results.push({
+        selector,
+        index: i,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return {
+    type: 'multipleSelectors',
+    matchAll: true,
+    matchCount: elements.length,
+    skippedCount,
+    totalSelectors: results.length,
+    successCount: results.filter(r => r.success).length,
+    failureCount: results.filter(r => !r.success).length,
+    results
+  };
+}
+
 /**
  * Capture single selector screenshot
  * @param {object} page - Puppeteer page object
  * @param {string} url - URL being captured
- * @param {string} selector - CSS selector
+ * @param {string} selector - Selector (CSS or engine-prefixed)
  * @param {object} options - Screenshot options
  * @returns {object} Screenshot result
  */
 async function captureSingleSelector(page, url, selector, options) {
+  const query = toQuerySelector(selector);
+
   // Wait for selector if requested
   if (options.waitForSelector) {
     console.log(`🔍 Waiting for selector: ${selector}`);
-    await page.waitForSelector(selector, { 
+    await page.waitForSelector(query, { 
       timeout: options.timeout 
     });
   }
 
   // Find the element
-  const element = await page.$(selector);
+  const element = await page.$(query);
   if (!element) {
     throw new Error(`Element not found: ${selector}`);
   }
@@ -264,34 +607,16 @@ async function captureSingleSelector(page, url, selector, options) {
   const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
   const selectorHash = crypto.createHash('md5').update(selector).digest('hex').substring(0, 8);
   const filename = `screenshot-${urlHash}-${selectorHash}-${timestamp}.${options.format}`;
-  
-  const screenshotsDir = path.join(__dirname, '..', 'screenshots');
-  const filepath = path.join(screenshotsDir, filename);
 
   // Take screenshot of the element
   console.log(`📸 Taking screenshot of element: ${selector}`);
-  const screenshotOptions = {
-    path: filepath,
-    type: options.format
-  };
+  const buffer = await captureOutput(page, element, options);
+  const saved = await saveScreenshot(buffer, filename);
 
-  if (options.format === 'jpeg') {
-    screenshotOptions.quality = options.quality;
-  }
-
-  await element.screenshot(screenshotOptions);
-
-  // Get file size
-  const stats = await fs.stat(filepath);
-  const fileSizeKB = Math.round(stats.size / 1024);
-
-  console.log(`✅ Screenshot saved: ${filename} (${fileSizeKB}KB)`);
+  console.log(`✅ Screenshot saved: ${filename} (${saved.size})`);
 
   return {
-    filename,
-    path: filepath,
-    size: `${fileSizeKB}KB`,
-    bytes: stats.size,
+    ...saved,
     type: 'singleSelector'
   };
 }
@@ -311,8 +636,9 @@ function isValidUrl(url) {
 }
 
 /**
- * Validate CSS selector format (basic validation)
- * @param {string|array} selector - CSS selector(s) to validate
+ * Validate selector syntax by parsing it
+ * Plain selectors are CSS; css=, xpath=, text=, role= and testid= select an engine.
+ * @param {string|array} selector - Selector(s) to validate
  * @returns {boolean} True if valid
  */
 function isValidSelector(selector) {
@@ -324,15 +650,23 @@ function isValidSelector(selector) {
     return selector.every(s => isValidSelector(s));
   }
   
-  if (typeof selector !== 'string') return false;
-  
-  // Basic CSS selector validation
-  const selectorRegex = /^[a-zA-Z0-9#.\-_\[\]=":',\s()>+~*]+$/;
-  return selectorRegex.test(selector);
+  try {
+    parseSelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 module.exports = {
   takeScreenshot,
+  runLoginRecipe,
+  setBrowserPool,
+  getBrowserPool,
+  setStorage,
+  getStorage,
+  setUrlPolicy,
+  getUrlPolicy,
   isValidUrl,
   isValidSelector
 };
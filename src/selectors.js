@@ -0,0 +1,431 @@
+/**
+ * Selector Engines
+ * Parses selectors with an engine prefix (css=, xpath=, text=, role=,
+ * testid=) and translates them to Puppeteer query selectors. Selectors
+ * without a prefix are CSS.
+ */
+
+const SELECTOR_ENGINES = ['css', 'xpath', 'text', 'role', 'testid'];
+
+const ENGINE_PREFIX = new RegExp(`^(${SELECTOR_ENGINES.join('|')})=`);
+
+// Pseudo-classes whose argument is itself a selector list
+const SELECTOR_LIST_PSEUDOS = ['not', 'is', 'where', 'has', 'matches'];
+
+const ATTRIBUTE_OPERATORS = ['~=', '|=', '^=', '$=', '*=', '='];
+
+const IDENT_START = /[a-zA-Z_\u0080-￿]/;
+const IDENT_CHAR = /[a-zA-Z0-9_\-\u0080-￿]/;
+
+/**
+ * Create a parser over a selector string
+ * @param {string} source - Text to parse
+ * @returns {object} Parser with position helpers
+ */
+function createReader(source) {
+  const reader = {
+    source,
+    index: 0,
+    peek: (offset = 0) => source[reader.index + offset],
+    done: () => reader.index >= source.length,
+    fail: message => {
+      throw new Error(`${message} at position ${reader.index}`);
+    },
+    skipWhitespace: () => {
+      const start = reader.index;
+      while (!reader.done() && /\s/.test(reader.peek())) reader.index++;
+      return reader.index > start;
+    },
+    // A backslash escapes one character, or up to 6 hex digits ended by one optional whitespace
+    skipEscape: () => {
+      reader.index++;
+      if (reader.done()) reader.fail('Unterminated escape');
+
+      const hex = source.slice(reader.index).match(/^[0-9a-fA-F]{1,6}(\r\n|[ \t\n\r\f])?/);
+      reader.index += hex ? hex[0].length : 1;
+    }
+  };
+  return reader;
+}
+
+/**
+ * Read a quoted string
+ * @param {object} reader - Parser
+ * @returns {string} String contents
+ */
+function readString(reader) {
+  const quote = reader.peek();
+  const start = ++reader.index;
+  while (!reader.done() && reader.peek() !== quote) {
+    if (reader.peek() === '\\') {
+      reader.skipEscape();
+    } else {
+      reader.index++;
+    }
+  }
+  if (reader.done()) reader.fail('Unterminated string');
+  const value = reader.source.slice(start, reader.index);
+  reader.index++;
+  return value;
+}
+
+/**
+ * Read a CSS identifier, including escapes and custom-property style "--" names
+ * @param {object} reader - Parser
+ * @param {string} what - What the identifier names, for error messages
+ * @returns {string} Identifier
+ */
+function readIdent(reader, what) {
+  const start = reader.index;
+
+  if (reader.peek() === '-') {
+    reader.index++;
+    if (reader.peek() === '-') reader.index++;
+  }
+
+  const first = reader.peek();
+  if (first === '\\') {
+    reader.skipEscape();
+  } else if (first !== undefined && IDENT_START.test(first)) {
+    reader.index++;
+  } else if (reader.index - start < 2) {
+    reader.index = start;
+    reader.fail(`Expected ${what}`);
+  }
+
+  while (!reader.done()) {
+    if (reader.peek() === '\\') {
+      reader.skipEscape();
+    } else if (IDENT_CHAR.test(reader.peek())) {
+      reader.index++;
+    } else {
+      break;
+    }
+  }
+
+  return reader.source.slice(start, reader.index);
+}
+
+/**
+ * Skip a parenthesised argument, checking brackets and strings balance
+ * @param {object} reader - Parser positioned after the opening parenthesis
+ */
+function skipArgument(reader) {
+  const start = reader.index;
+  let depth = 1;
+
+  while (!reader.done()) {
+    const char = reader.peek();
+    if (char === '"' || char === '\'') {
+      readString(reader);
+      continue;
+    }
+    if (char === '\\') {
+      reader.skipEscape();
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')' && --depth === 0) break;
+    reader.index++;
+  }
+
+  if (reader.done()) reader.fail('Unclosed "("');
+  if (!reader.source.slice(start, reader.index).trim()) reader.fail('Empty pseudo-class argument');
+}
+
+/**
+ * Parse an attribute selector body: [name], [name="value" i]
+ * @param {object} reader - Parser positioned after "["
+ */
+function parseAttribute(reader) {
+  reader.skipWhitespace();
+  if (reader.peek() === '*' && reader.peek(1) === '|') reader.index += 2;
+  readIdent(reader, 'an attribute name');
+  reader.skipWhitespace();
+
+  if (reader.peek() !== ']') {
+    const operator = ATTRIBUTE_OPERATORS.find(op => reader.source.startsWith(op, reader.index));
+    if (!operator) reader.fail('Expected an attribute operator');
+    reader.index += operator.length;
+    reader.skipWhitespace();
+
+    if (reader.peek() === '"' || reader.peek() === '\'') {
+      readString(reader);
+    } else {
+      readIdent(reader, 'an attribute value');
+    }
+    reader.skipWhitespace();
+
+    if (/[is]/i.test(reader.peek() || '') && !IDENT_CHAR.test(reader.peek(1) || '')) {
+      reader.index++;
+      reader.skipWhitespace();
+    }
+  }
+
+  if (reader.peek() !== ']') reader.fail('Expected "]"');
+  reader.index++;
+}
+
+/**
+ * Parse a compound selector: type or universal selector followed by IDs,
+ * classes, attributes and pseudo-classes
+ * @param {object} reader - Parser
+ */
+function parseCompound(reader) {
+  let parts = 0;
+
+  if (reader.peek() === '*') {
+    reader.index++;
+    parts++;
+  } else if (reader.peek() !== undefined && (IDENT_START.test(reader.peek()) || reader.peek() === '-' || reader.peek() === '\\')) {
+    readIdent(reader, 'an element name');
+    parts++;
+  }
+
+  while (!reader.done()) {
+    const char = reader.peek();
+
+    if (char === '#') {
+      reader.index++;
+      readIdent(reader, 'an ID');
+    } else if (char === '.') {
+      reader.index++;
+      readIdent(reader, 'a class name');
+    } else if (char === '[') {
+      reader.index++;
+      parseAttribute(reader);
+    } else if (char === ':') {
+      reader.index += reader.peek(1) === ':' ? 2 : 1;
+      const name = readIdent(reader, 'a pseudo-class name');
+      if (reader.peek() === '(') {
+        reader.index++;
+        if (SELECTOR_LIST_PSEUDOS.includes(name.toLowerCase())) {
+          reader.skipWhitespace();
+          parseSelectorList(reader, name.toLowerCase() === 'has');
+          if (reader.peek() !== ')') reader.fail('Expected ")"');
+        } else {
+          skipArgument(reader);
+        }
+        reader.index++;
+      }
+    } else {
+      break;
+    }
+    parts++;
+  }
+
+  if (parts === 0) {
+    reader.fail(reader.done() ? 'Unexpected end of selector' : `Unexpected "${reader.peek()}"`);
+  }
+}
+
+/**
+ * Parse a comma-separated list of complex selectors
+ * @param {object} reader - Parser
+ * @param {boolean} relative - Whether selectors may start with a combinator (:has)
+ */
+function parseSelectorList(reader, relative = false) {
+  while (true) {
+    reader.skipWhitespace();
+
+    if (relative && /[>+~]/.test(reader.peek() || '')) {
+      reader.index++;
+      reader.skipWhitespace();
+    }
+    parseCompound(reader);
+
+    while (true) {
+      const hadWhitespace = reader.skipWhitespace();
+      const char = reader.peek();
+
+      if (char === '>' || char === '+' || char === '~') {
+        reader.index++;
+        reader.skipWhitespace();
+        parseCompound(reader);
+      } else if (hadWhitespace && char !== undefined && char !== ',' && char !== ')') {
+        parseCompound(reader);
+      } else {
+        break;
+      }
+    }
+
+    if (reader.peek() !== ',') break;
+    reader.index++;
+  }
+}
+
+/**
+ * Check that a CSS selector parses
+ * @param {string} selector - CSS selector
+ * @throws {Error} Describing the first syntax error
+ */
+function parseCss(selector) {
+  const reader = createReader(selector);
+  parseSelectorList(reader);
+  reader.skipWhitespace();
+  if (!reader.done()) reader.fail(`Unexpected "${reader.peek()}"`);
+}
+
+/**
+ * Check that an XPath expression has balanced brackets and quotes
+ * Full XPath syntax is checked by the browser when the selector runs.
+ * @param {string} expression - XPath expression
+ * @throws {Error} Describing the first imbalance
+ */
+function parseXPath(expression) {
+  const reader = createReader(expression);
+  const open = [];
+  const pairs = { ')': '(', ']': '[' };
+
+  while (!reader.done()) {
+    const char = reader.peek();
+    if (char === '"' || char === '\'') {
+      readString(reader);
+      continue;
+    }
+    if (char === '(' || char === '[') open.push(char);
+    if (pairs[char] && open.pop() !== pairs[char]) reader.fail(`Unexpected "${char}"`);
+    reader.index++;
+  }
+
+  if (open.length > 0) reader.fail(`Unclosed "${open.pop()}"`);
+}
+
+/**
+ * Parse a role selector: button, button[name="Checkout"]
+ * @param {string} value - Role selector without the prefix
+ * @returns {object} { role, name }
+ */
+function parseRole(value) {
+  const reader = createReader(value.trim());
+  const role = readIdent(reader, 'an ARIA role');
+  let name = null;
+
+  while (!reader.done()) {
+    if (reader.peek() !== '[') reader.fail(`Unexpected "${reader.peek()}"`);
+    reader.index++;
+    reader.skipWhitespace();
+
+    const attribute = readIdent(reader, 'an attribute name');
+    if (attribute !== 'name') reader.fail(`Unsupported role attribute "${attribute}", only name is supported`);
+    reader.skipWhitespace();
+    if (reader.peek() !== '=') reader.fail('Expected "="');
+    reader.index++;
+    reader.skipWhitespace();
+
+    if (reader.peek() === '"' || reader.peek() === '\'') {
+      name = readString(reader).replace(/\\(.)/g, '$1');
+    } else {
+      const start = reader.index;
+      while (!reader.done() && reader.peek() !== ']') reader.index++;
+      name = reader.source.slice(start, reader.index).trim();
+    }
+    reader.skipWhitespace();
+
+    if (reader.peek() !== ']') reader.fail('Expected "]"');
+    reader.index++;
+  }
+
+  if (name !== null && name.includes('"') && name.includes('\'')) {
+    throw new Error('Role names cannot contain both single and double quotes');
+  }
+
+  return { role, name };
+}
+
+/**
+ * Remove matching outer quotes from an engine value
+ * @param {string} value - Engine value
+ * @returns {string} Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === '\'') && trimmed[trimmed.length - 1] === trimmed[0]) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Quote a value for a selector attribute, preferring double quotes
+ * @param {string} value - Attribute value
+ * @returns {string} Quoted value
+ */
+function quote(value) {
+  return value.includes('"') ? `'${value}'` : `"${value}"`;
+}
+
+/**
+ * Parse a selector and translate it to a Puppeteer query selector
+ * @param {string} selector - Selector, optionally prefixed with an engine
+ * @returns {object} { engine, value, query }
+ * @throws {Error} When the selector is empty or does not parse
+ */
+function parseSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error('Selector must be a non-empty string');
+  }
+
+  const match = selector.match(ENGINE_PREFIX);
+  const engine = match ? match[1] : 'css';
+  const value = match ? selector.slice(match[0].length) : selector;
+
+  if (!value.trim()) {
+    throw new Error(`${engine}= selector is empty`);
+  }
+
+  switch (engine) {
+    case 'xpath':
+      parseXPath(value);
+      return { engine, value, query: `xpath/${value.trim()}` };
+    case 'text':
+      return { engine, value, query: `text/${unquote(value)}` };
+    case 'role': {
+      const { role, name } = parseRole(value);
+      const nameAttribute = name !== null ? `[name=${quote(name)}]` : '';
+      return { engine, value, query: `aria/${nameAttribute}[role="${role}"]` };
+    }
+    case 'testid': {
+      const testId = unquote(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      return { engine, value, query: `[data-testid="${testId}"]` };
+    }
+    default:
+      parseCss(value);
+      return { engine, value, query: value.trim() };
+  }
+}
+
+/**
+ * Describe why a selector is invalid
+ * @param {string} selector - Selector to check
+ * @returns {string|null} Error message, or null when the selector is valid
+ */
+function getSelectorError(selector) {
+  try {
+    parseSelector(selector);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Translate a selector to the form Puppeteer's page.$ and waitForSelector accept
+ * Selectors that do not parse are returned unchanged so the browser reports them.
+ * @param {string} selector - Selector, optionally prefixed with an engine
+ * @returns {string} Puppeteer query selector
+ */
+function toQuerySelector(selector) {
+  try {
+    return parseSelector(selector).query;
+  } catch {
+    return selector;
+  }
+}
+
+module.exports = {
+  SELECTOR_ENGINES,
+  parseSelector,
+  getSelectorError,
+  toQuerySelector
+};
@@ -1,246 +1,1580 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
 require('dotenv').config();
 
-const { takeScreenshot, isValidSelector } = require('./screenshot');
-const { checkApiKey, optionalApiKey, createRateLimiter } = require('./auth');
-const { getConfig, printConfigSummary } = require('./config');
+const { takeScreenshot, runLoginRecipe, isValidSelector, setBrowserPool, setStorage, setUrlPolicy } = require('./screenshot');
+const {
+  checkApiKey,
+  optionalApiKey,
+  getBearerToken,
+  requireApiKey,
+  requireScope,
+  setApiKeyStore,
+  signedUrlOrApiKey,
+  generateApiKey,
+  createRateLimiter
+} = require('./auth');
+const { SCOPES, createApiKeyStore } = require('./apiKeys');
+const { QUOTA_FIELDS, createUsageTracker, enforceQuota } = require('./usage');
+const { getConfig, getBrowserOptions, printConfigSummary } = require('./config');
+const { createBrowserPool } = require('./browserPool');
+const { createStorage, getContentType, serveStoredFile } = require('./storage');
+const { createRateLimitStore } = require('./rateLimit');
+const { signParams, toQueryString } = require('./signing');
+const { createJsonStore } = require('./jsonStore');
+const { createShareLinks } = require('./shareLinks');
+const { createJobQueue, serializeJob, JOB_STATUS } = require('./jobs');
+const { createWebhookDispatcher, deriveWebhookSecret, serializeDelivery } = require('./webhooks');
+const { createUrlPolicy } = require('./urlPolicy');
+const { validateScreenshotOptions } = require('./utils');
+const { getDefaultQuality } = require('./formats');
+const { redactUrl, describeSessionOptions } = require('./session');
+const { PROFILE_NAME_PATTERN, createProfileStore, serializeProfile } = require('./profiles');
+const { validateActions } = require('./actions');
+const { DEVICES, validateDeviceOptions } = require('./devices');
+const { validateMediaOptions } = require('./media');
+const { getSelectorError } = require('./selectors');
 
 // Load and validate configuration
 const config = getConfig();
 
+// Warm browser pool shared by all capture routes
+const browserPool = createBrowserPool({
+  ...config.browserPool,
+  launchOptions: getBrowserOptions(config)
+});
+setBrowserPool(browserPool);
+
+// Which target URLs captures may load
+const urlPolicy = createUrlPolicy(config.urlPolicy);
+setUrlPolicy(urlPolicy);
+
+// Issued API keys, stored as hashes
+const apiKeys = createApiKeyStore({
+  store: createJsonStore(path.join(config.dataDir, 'api-keys.json')),
+  generateKey: () => generateApiKey(40)
+});
+setApiKeyStore(apiKeys);
+
+// Per-key usage counters and quotas
+const usage = createUsageTracker({
+  store: createJsonStore(path.join(config.dataDir, 'usage.json')),
+  defaultQuotas: config.quotas
+});
+
+// Secret for signed capture and download URLs
+const urlSigningSecret = config.signingSecret || crypto.randomBytes(32).toString('hex');
+
+// Signed, revocable download links for stored screenshots
+const shareLinks = createShareLinks({
+  store: createJsonStore(path.join(config.dataDir, 'share-links.json')),
+  secret: urlSigningSecret
+});
+
+// Named browser profiles with persistent login sessions
+const profiles = createProfileStore({
+  store: createJsonStore(path.join(config.dataDir, 'profiles.json')),
+  directory: path.join(config.dataDir, 'profiles'),
+  secret: config.profileSecret || crypto.randomBytes(32).toString('hex')
+});
+
+// Storage backend for every screenshot write, read and delete
+const storage = createStorage(config, {
+  signUrl: filename => shareLinks.sign(filename, config.signedUrlDefaultTtl).query
+});
+setStorage(storage);
+
+// Signed webhook delivery for finished captures
+const webhookSecret = config.webhookSecret || crypto.randomBytes(32).toString('hex');
+const webhooks = createWebhookDispatcher({
+  secret: webhookSecret,
+  maxAttempts: config.webhookMaxAttempts,
+  baseDelay: config.webhookRetryDelay,
+  timeout: config.webhookTimeout,
+  urlPolicy
+});
+
 const app = express();
 
-// Middleware
-app.use(cors({
-  origin: config.corsOrigins,
-  credentials: true
-}));
-app.use(express.json({ limit: config.maxRequestSize }));
-app.use(express.urlencoded({ extended: true, limit: config.maxRequestSize }));
+// Client IPs behind load balancers, used for anonymous rate limiting
+app.set('trust proxy', config.trustProxy);
+
+// Middleware
+app.use(cors({
+  origin: config.corsOrigins,
+  credentials: true
+}));
+app.use(express.json({ limit: config.maxRequestSize }));
+app.use(express.urlencoded({ extended: true, limit: config.maxRequestSize }));
+
+/**
+ * Allow screenshot downloads with a valid share token or API key
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function authorizeDownload(req, res, next) {
+  if (!req.query.token) {
+    return checkApiKey(req, res, () => requireScope('read')(req, res, next));
+  }
+
+  const verification = shareLinks.verify(req.params.filename, req.query);
+  if (!verification.valid) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: verification.reason
+    });
+  }
+
+  next();
+}
+
+// Serve static files
+app.use(express.static(path.join(__dirname, '..', 'public')));
+app.get('/screenshots/:filename', authorizeDownload, serveStoredFile(storage));
+
+// Rate limiting (if enabled), applied to every capture route after authentication
+const rateLimitStore = config.rateLimitEnabled ? createRateLimitStore(config) : null;
+const rateLimiter = config.rateLimitEnabled
+  ? createRateLimiter(config.rateLimitMax, config.rateLimitWindow, {
+    store: rateLimitStore,
+    anonymousMax: config.rateLimitAnonymousMax
+  })
+  : (req, res, next) => next();
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({
+    message: 'DOM Element Screenshot API',
+    version: '1.0.0',
+    features: [
+      'Capture screenshots of specific DOM elements',
+      'Customizable viewport and options',
+      'Device emulation with pixel ratio, touch and user agent',
+      'PNG, JPEG, WebP, AVIF and PDF output',
+      'API key authentication',
+      'Rate limiting'
+    ],
+    endpoints: {
+      'POST /screenshot': 'Take a screenshot of a specific element (send Accept: image/* for raw image bytes)',
+      'GET /screenshot': 'Stream a screenshot image, authorized by API key or signed URL',
+      'POST /screenshot/signed-url': 'Create a signed, expiring GET /screenshot URL',
+      'POST /jobs': 'Queue a screenshot and return a job ID',
+      'GET /jobs/:id': 'Get the status of a screenshot job',
+      'GET /jobs/:id/result': 'Get the files produced by a finished job',
+      'GET /screenshots/:filename': 'Download a stored screenshot with a signed token or API key',
+      'POST /shares': 'Create a signed, expiring share link for a stored screenshot',
+      'GET /shares': 'List your share links',
+      'DELETE /shares/:id': 'Revoke a share link',
+      'POST /profiles': 'Create a persistent browser profile with an optional login recipe',
+      'GET /profiles': 'List your browser profiles',
+      'PATCH /profiles/:id': 'Update a profile\'s login recipe',
+      'DELETE /profiles/:id': 'Delete a profile and its browser data',
+      'POST /profiles/:id/login': 'Replay a profile\'s login recipe to refresh its session',
+      'POST /admin/keys': 'Issue an API key (admin scope)',
+      'GET /admin/keys': 'List API keys (admin scope)',
+      'DELETE /admin/keys/:id': 'Revoke an API key (admin scope)',
+      'GET /usage': 'Get usage and quota status for your API key',
+      'GET /webhooks/deliveries': 'List webhook delivery attempts',
+      'GET /webhooks/secret': 'Get the secret used to sign your webhooks',
+      'GET /devices': 'List devices available for options.device emulation',
+      'GET /health': 'Health check endpoint',
+      'GET /stats': 'Get API statistics'
+    },
+    documentation: 'https://github.com/ParthPatelCa/element-screenshot-api'
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    environment: config.nodeEnv,
+    authentication: config.enableAuth ? 'enabled' : 'disabled'
+  });
+});
+
+// Device catalog (no auth required)
+app.get('/devices', (req, res) => {
+  res.json({
+    devices: DEVICES,
+    total: DEVICES.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Stats endpoint (no auth required)
+app.get('/stats', async (req, res) => {
+  try {
+    const { getStorageStats } = require('./utils');
+    const stats = await getStorageStats(storage);
+    
+    res.json({
+      screenshots: {
+        storage: storage.type,
+        count: stats.fileCount,
+        totalSize: stats.totalSize
+      },
+      config: {
+        maxFileSize: `${config.maxFileSize / (1024 * 1024)}MB`,
+        defaultFormat: config.defaultFormat,
+        autoCleanup: config.autoCleanup
+      },
+      browserPool: browserPool.getStats(),
+      jobs: jobQueue.getStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get stats',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Explain why a selector (or array of selectors) failed validation
+ * @param {string|array} selector - Selector(s) from the request
+ * @returns {string} Error message
+ */
+function describeInvalidSelector(selector) {
+  const selectors = Array.isArray(selector) ? selector : [selector];
+  const invalid = selectors.find(s => getSelectorError(s));
+
+  if (invalid === undefined) {
+    return 'Please provide a valid selector or array of selectors';
+  }
+  return `Invalid selector ${JSON.stringify(invalid)}: ${getSelectorError(invalid)}`;
+}
+
+/**
+ * Validate a capture request body and merge it with default options
+ * @param {object} body - Request body
+ * @param {object} requester - Caller's API key and key ID, from getRequester (optional)
+ * @returns {object} Either { error } with status and response body, or { url, selector, mergedOptions, profile, callbackUrl, apiKey, keyId, urlPolicy }
+ */
+function parseCaptureRequest(body, requester = {}) {
+  const { 
+    url, 
+    selector, 
+    options = {},
+    fullPage = false,
+    viewportWidth,
+    viewportHeight,
+    callbackUrl
+  } = body;
+
+  // Validation
+  if (!url) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Missing required fields',
+          message: 'URL is required',
+          required: ['url'],
+          received: Object.keys(body)
+        }
+      }
+    };
+  }
+
+  // If not full page or an explicit clip, selector is required
+  if (!fullPage && !options.clip && !selector) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Missing required fields',
+          message: 'Selector is required when fullPage is false and no clip is given',
+          required: ['url', 'selector'],
+          received: Object.keys(body)
+        }
+      }
+    };
+  }
+
+  if (options.clip && selector) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid options',
+          message: 'clip cannot be combined with a selector; use padding to expand around an element'
+        }
+      }
+    };
+  }
+
+  if (options.matchAll && Array.isArray(selector)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid options',
+          message: 'matchAll takes a single selector; send one selector that matches every element to capture'
+        }
+      }
+    };
+  }
+
+  // Validate URL format
+  try {
+    new URL(url);
+  } catch {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid URL format',
+          message: 'Please provide a valid URL starting with http:// or https://'
+        }
+      }
+    };
+  }
+
+  // Validate selector(s) if provided
+  if (selector && !isValidSelector(selector)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid selector format',
+          message: describeInvalidSelector(selector)
+        }
+      }
+    };
+  }
+
+  // Validate callback URL if provided
+  if (callbackUrl) {
+    // Deliveries are signed with the caller's key, so anonymous callers cannot verify them
+    if (!requester.apiKey) {
+      return {
+        error: {
+          status: 401,
+          body: {
+            error: 'Unauthorized',
+            message: 'callbackUrl requires an API key'
+          }
+        }
+      };
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(callbackUrl);
+    } catch {
+      parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            error: 'Invalid callback URL',
+            message: 'callbackUrl must be a valid http:// or https:// URL'
+          }
+        }
+      };
+    }
+  }
+
+  // Merge with default options; an explicit quality always wins over the format's default
+  const mergedOptions = {
+    format: config.defaultFormat,
+    quality: getDefaultQuality(options.format || config.defaultFormat, config.defaultQuality),
+    timeout: config.browserTimeout,
+    viewport: { ...config.defaultViewport },
+    fullPage,
+    viewportWidth,
+    viewportHeight,
+    ...options
+  };
+
+  const validation = validateScreenshotOptions(mergedOptions);
+  if (!validation.isValid) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: 'Invalid options',
+          message: validation.errors.join('; ')
+        }
+      }
+    };
+  }
+
+  // Persistent profiles belong to the key that created them
+  let profile = null;
+  if (mergedOptions.profile !== undefined) {
+    if (!requester.keyId || requester.keyId === 'anonymous') {
+      return {
+        error: {
+          status: 401,
+          body: {
+            error: 'Unauthorized',
+            message: 'options.profile requires an API key'
+          }
+        }
+      };
+    }
+
+    const record = typeof mergedOptions.profile === 'string'
+      ? profiles.find(requester.keyId, mergedOptions.profile)
+      : null;
+
+    if (!record) {
+      return {
+        error: {
+          status: 404,
+          body: {
+            error: 'Profile Not Found',
+            message: `No profile named ${mergedOptions.profile}`,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    }
+    profile = profiles.getBrowserProfile(record.id);
+  }
+
+  return {
+    url,
+    selector,
+    mergedOptions,
+    profile,
+    callbackUrl: callbackUrl || config.webhookUrl,
+    customCallback: Boolean(callbackUrl),
+    apiKey: requester.apiKey,
+    keyId: requester.keyId || 'anonymous',
+    urlPolicy: requester.urlPolicy || urlPolicy
+  };
+}
+
+/**
+ * Respond to a URL policy check that failed unexpectedly
+ * @param {object} res - Express response object
+ * @param {Error} error - Error thrown by checkCaptureUrls
+ */
+function sendUrlCheckError(res, error) {
+  console.error('URL check error:', error);
+  const { statusCode, errorType } = classifyCaptureError(error);
+  res.status(statusCode).json({
+    error: errorType,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Check a parsed capture's target and callback URLs against its URL policy
+ * The configured WEBHOOK_URL is trusted; callback URLs from the request are not.
+ * @param {object} capture - Output of parseCaptureRequest
+ * @returns {Promise<object|null>} { status, body } error, or null if allowed
+ */
+async function checkCaptureUrls(capture) {
+  const target = await capture.urlPolicy.check(capture.url);
+  if (!target.allowed) {
+    return {
+      status: 403,
+      body: {
+        error: 'URL Not Allowed',
+        message: target.reason,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  if (capture.customCallback) {
+    const callback = await capture.urlPolicy.check(capture.callbackUrl);
+    if (!callback.allowed) {
+      return {
+        status: 403,
+        body: {
+          error: 'Callback URL Not Allowed',
+          message: callback.reason,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the URL policy for an API key, applying the key's own allowlist and denylist
+ * @param {object} record - API key record (optional)
+ * @returns {object} URL policy
+ */
+function getKeyUrlPolicy(record) {
+  return record && record.urlPolicy ? urlPolicy.extend(record.urlPolicy) : urlPolicy;
+}
+
+/**
+ * Identify the caller for webhook signing and usage accounting
+ * Signed URLs are billed to the key that minted them.
+ * @param {object} req - Express request object
+ * @returns {object} API key (if sent), key ID, quotas and URL policy
+ */
+function getRequester(req) {
+  if (req.apiKey) {
+    return {
+      apiKey: getBearerToken(req),
+      keyId: req.apiKey.id,
+      quotas: req.apiKey.quotas,
+      urlPolicy: getKeyUrlPolicy(req.apiKey)
+    };
+  }
+
+  if (req.signedUrl && req.query.key) {
+    const record = apiKeys.get(req.query.key);
+    return {
+      keyId: req.query.key,
+      quotas: record ? record.quotas : undefined,
+      urlPolicy: getKeyUrlPolicy(record)
+    };
+  }
+
+  return { keyId: 'anonymous', urlPolicy };
+}
+
+/**
+ * Build the JSON response for a finished capture
+ * @param {object} result - Result from takeScreenshot
+ * @param {object} mergedOptions - Options the capture ran with
+ * @returns {object} Response body
+ */
+function buildCaptureResponse(result, mergedOptions) {
+  if (result.type === 'multipleSelectors') {
+    return {
+      success: true,
+      type: 'multipleSelectors',
+      matchAll: result.matchAll,
+      matchCount: result.matchCount,
+      skippedCount: result.skippedCount,
+      totalSelectors: result.totalSelectors,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      results: result.results.map(r => ({
+        selector: r.selector,
+        index: r.index,
+        success: r.success,
+        filename: r.success ? r.filename : undefined,
+        url: r.success ? r.url : undefined,
+        size: r.success ? r.size : undefined,
+        bytes: r.success ? r.bytes : undefined,
+        error: !r.success ? r.error : undefined
+      })),
+      format: mergedOptions.format,
+      viewport: result.viewport || mergedOptions.viewport,
+      redactions: result.redactions,
+      scriptErrors: result.scriptErrors,
+      timestamp: new Date().toISOString(),
+      message: `Captured ${result.successCount}/${result.totalSelectors} screenshots successfully`
+    };
+  }
+
+  return {
+    success: true,
+    type: result.type || 'singleSelector',
+    filename: result.filename,
+    url: result.url,
+    size: result.size,
+    bytes: result.bytes,
+    format: mergedOptions.format,
+    viewport: result.viewport || mergedOptions.viewport,
+    redactions: result.redactions,
+    scriptErrors: result.scriptErrors,
+    timestamp: new Date().toISOString(),
+    message: 'Screenshot captured successfully'
+  };
+}
+
+/**
+ * Map a capture error to an HTTP status code and error type
+ * @param {Error} error - Error thrown by takeScreenshot
+ * @returns {object} Status code and error type
+ */
+function classifyCaptureError(error) {
+  let statusCode = 500;
+  let errorType = 'Screenshot Failed';
+  
+  if (error.message.includes('Element not found')) {
+    statusCode = 404;
+    errorType = 'Element Not Found';
+  } else if (error.message.includes('URL not allowed')) {
+    statusCode = 403;
+    errorType = 'URL Not Allowed';
+  } else if (error.actionIndex !== undefined) {
+    statusCode = 422;
+    errorType = 'Action Failed';
+  } else if (error.message.includes('timeout')) {
+    statusCode = 408;
+    errorType = 'Request Timeout';
+  } else if (error.message.includes('net::ERR_')) {
+    statusCode = 400;
+    errorType = 'Network Error';
+  } else if (error.message.includes('Viewport dimensions')) {
+    statusCode = 400;
+    errorType = 'Invalid Viewport';
+  } else if (error.message.includes('Output too large')) {
+    statusCode = 400;
+    errorType = 'Output Too Large';
+  }
+
+  return { statusCode, errorType };
+}
+
+/**
+ * Run a parsed capture request
+ * @param {object} capture - Output of parseCaptureRequest, plus the request's quotaReservation
+ * @returns {Promise<object>} Response body
+ */
+async function runCapture({ url, selector, mergedOptions, profile, keyId, urlPolicy: policy, quotaReservation }) {
+  const screenshotType = mergedOptions.fullPage ? 'full page'
+    : Array.isArray(selector) ? `${selector.length} selectors`
+    : mergedOptions.matchAll ? 'all matches' : 'single selector';
+  const session = describeSessionOptions(mergedOptions);
+  console.log(`📸 Screenshot request: ${redactUrl(url)} -> ${screenshotType}${session ? ` (${session})` : ''}`);
+  
+  let result;
+  try {
+    result = await takeScreenshot(url, selector, mergedOptions, { urlPolicy: policy, profile });
+  } catch (error) {
+    recordUsage(keyId, { browserMs: error.browserMs || 0 }, quotaReservation);
+    throw error;
+  }
+
+  recordCaptureUsage(keyId, result, quotaReservation);
+  shareLinks.recordFiles(getCaptureFiles(result).map(file => file.filename), keyId);
+  return buildCaptureResponse(result, mergedOptions);
+}
+
+/**
+ * List the stored files a capture produced
+ * @param {object} result - Result from takeScreenshot
+ * @returns {array} Successful results, each with filename and bytes
+ */
+function getCaptureFiles(result) {
+  return result.type === 'multipleSelectors' ? result.results.filter(r => r.success) : [result];
+}
+
+/**
+ * Add usage to a key's counters, settling the request's quota reservation if it has one
+ * @param {string} keyId - API key ID
+ * @param {object} amounts - captures, bytes and browserMs to add
+ * @param {object} reservation - Reservation from the quota middleware (optional)
+ */
+function recordUsage(keyId, amounts, reservation) {
+  if (reservation) {
+    reservation.commit(amounts);
+  } else {
+    usage.record(keyId, amounts);
+  }
+}
+
+/**
+ * Add a finished capture to the key's usage counters
+ * @param {string} keyId - API key ID
+ * @param {object} result - Result from takeScreenshot
+ * @param {object} reservation - Reservation from the quota middleware (optional)
+ */
+function recordCaptureUsage(keyId, result, reservation) {
+  const files = getCaptureFiles(result);
+
+  recordUsage(keyId, {
+    captures: files.length,
+    bytes: files.reduce((sum, file) => sum + file.bytes, 0),
+    browserMs: result.browserMs || 0
+  }, reservation);
+}
+
+/**
+ * Send the capture outcome to the request's callback URL, if any
+ * @param {object} capture - Output of parseCaptureRequest
+ * @param {object} outcome - Either { response } or { error }, plus optional jobId
+ * @returns {object|null} Delivery record
+ */
+function notifyCaptureComplete(capture, { response, error, jobId }) {
+  if (!capture.callbackUrl) {
+    return null;
+  }
+
+  const payload = {
+    jobId: jobId || null,
+    url: capture.url,
+    selector: capture.selector,
+    success: !error,
+    files: [],
+    errors: [],
+    timestamp: new Date().toISOString()
+  };
+
+  if (error) {
+    payload.errors.push({ message: error.message });
+  } else if (response.type === 'multipleSelectors') {
+    for (const r of response.results) {
+      if (r.success) {
+        payload.files.push({ selector: r.selector, index: r.index, filename: r.filename, url: r.url, size: r.size, bytes: r.bytes });
+      } else {
+        payload.errors.push({ selector: r.selector, index: r.index, message: r.error });
+      }
+    }
+  } else {
+    payload.files.push({ filename: response.filename, url: response.url, size: response.size, bytes: response.bytes });
+  }
+
+  const event = error ? 'capture.failed' : 'capture.succeeded';
+  return webhooks.deliver(capture.callbackUrl, event, payload, {
+    apiKey: capture.apiKey,
+    keyId: capture.keyId,
+    jobId,
+    urlPolicy: capture.customCallback ? capture.urlPolicy : null
+  });
+}
+
+// Background capture jobs
+const jobQueue = createJobQueue({
+  runner: async (capture, job) => {
+    try {
+      const response = await runCapture(capture);
+      notifyCaptureComplete(capture, { response, jobId: job.id });
+      return response;
+    } catch (error) {
+      notifyCaptureComplete(capture, { error, jobId: job.id });
+      throw error;
+    }
+  },
+  concurrency: config.jobs.concurrency,
+  maxQueued: config.jobs.maxQueued,
+  retentionMs: config.jobs.retention
+});
+
+// Query parameters accepted by GET /screenshot and signed capture URLs
+const CAPTURE_QUERY_PARAMS = ['url', 'selector', 'fullPage', 'viewportWidth', 'viewportHeight', 'format', 'quality', 'delay', 'timeout', 'device', 'deviceScaleFactor', 'options'];
+
+/**
+ * Convert GET /screenshot query parameters into a capture request body
+ * @param {object} query - Parsed query string
+ * @returns {object} Request body accepted by parseCaptureRequest
+ */
+function queryToCaptureBody(query) {
+  let options = {};
+  if (query.options) {
+    try {
+      options = typeof query.options === 'string' ? JSON.parse(query.options) : query.options;
+    } catch {
+      options = {};
+    }
+  }
+
+  for (const key of ['format', 'quality', 'delay', 'timeout']) {
+    if (query[key] !== undefined) {
+      options[key] = key === 'format' ? query[key] : parseInt(query[key]);
+    }
+  }
+
+  if (query.device !== undefined) {
+    options.device = query.device;
+  }
+
+  if (query.deviceScaleFactor !== undefined) {
+    options.deviceScaleFactor = parseFloat(query.deviceScaleFactor);
+  }
+
+  return {
+    url: query.url,
+    selector: query.selector,
+    fullPage: query.fullPage === true || query.fullPage === 'true',
+    viewportWidth: query.viewportWidth,
+    viewportHeight: query.viewportHeight,
+    options
+  };
+}
+
+/**
+ * Send a captured file as raw bytes and remove it from storage
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} response - Capture response from runCapture
+ */
+async function sendCaptureImage(req, res, response) {
+  const buffer = await storage.read(response.filename);
+
+  try {
+    await storage.delete(response.filename);
+    shareLinks.forgetFiles([response.filename]);
+  } catch (error) {
+    console.warn('Failed to clean up temporary file:', error.message);
+  }
+
+  // Never let a cache outlive the signed URL that produced the image
+  let maxAge = config.imageCacheMaxAge;
+  if (req.signedUrl) {
+    const remaining = Math.floor((req.signedUrl.expiresAt.getTime() - Date.now()) / 1000);
+    maxAge = Math.max(0, Math.min(maxAge, remaining));
+  }
+
+  res.set({
+    'Content-Type': getContentType(response.filename),
+    'Content-Length': buffer.length,
+    'Content-Disposition': `inline; filename="${response.filename}"`,
+    'Cache-Control': `${req.signedUrl || !req.headers.authorization ? 'public' : 'private'}, max-age=${maxAge}`,
+    'ETag': `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`,
+    'Last-Modified': new Date().toUTCString()
+  });
+  res.send(buffer);
+}
+
+/**
+ * Whether the client explicitly asked for an image or PDF via the Accept header
+ * @param {object} req - Express request object
+ * @returns {boolean} True when the file itself is preferred over JSON
+ */
+function prefersImage(req) {
+  // Plain */* (curl, fetch) keeps getting JSON
+  if (!/image\/|application\/pdf/i.test(req.headers.accept || '')) {
+    return false;
+  }
+
+  const type = req.accepts(['application/json', 'image/png', 'image/jpeg', 'image/webp', 'image/avif', 'image/*', 'application/pdf']);
+  return Boolean(type) && type !== 'application/json';
+}
+
+/**
+ * Create a handler that runs a capture and responds with JSON or image bytes
+ * @param {function} getBody - Extracts the capture request body from the request
+ * @param {function} wantsImage - Decides whether to respond with raw image bytes
+ * @returns {function} Express request handler
+ */
+function createCaptureHandler(getBody, wantsImage) {
+  return async function captureHandler(req, res) {
+    const capture = parseCaptureRequest(getBody(req), getRequester(req));
+    if (capture.error) {
+      return res.status(capture.error.status).json(capture.error.body);
+    }
+    capture.quotaReservation = req.quotaReservation;
+
+    const binary = wantsImage(req);
+    if (binary && (Array.isArray(capture.selector) || capture.mergedOptions.matchAll)) {
+      return res.status(400).json({
+        error: 'Unsupported Response Type',
+        message: 'Image responses support a single selector or fullPage; request JSON for multiple selectors or matchAll'
+      });
+    }
+
+    try {
+      const blocked = await checkCaptureUrls(capture);
+      if (blocked) {
+        return res.status(blocked.status).json(blocked.body);
+      }
+
+      const response = await runCapture(capture);
+      notifyCaptureComplete(capture, { response });
+
+      if (binary) {
+        return await sendCaptureImage(req, res, response);
+      }
+      res.json(response);
+
+    } catch (error) {
+      console.error('Screenshot error:', error);
+      notifyCaptureComplete(capture, { error });
+      
+      // Determine error type and status code
+      const { statusCode, errorType } = classifyCaptureError(error);
+
+      res.status(statusCode).json({
+        error: errorType,
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+// Screenshot endpoint with authentication
+const authMiddleware = config.enableAuth ? checkApiKey : optionalApiKey;
+const quotaMiddleware = enforceQuota(usage, req => {
+  const requester = getRequester(req);
+  return { id: requester.keyId, quotas: requester.quotas };
+});
+app.post('/screenshot', authMiddleware, requireScope('capture'), rateLimiter, quotaMiddleware, createCaptureHandler(
+  req => req.body,
+  prefersImage
+));
+
+// Image endpoint for <img src>, authorized by API key or signed URL
+app.get('/screenshot', signedUrlOrApiKey(urlSigningSecret, authMiddleware), requireScope('capture'), rateLimiter, quotaMiddleware, createCaptureHandler(
+  req => queryToCaptureBody(req.query),
+  () => true
+));
+
+// Mint a signed GET /screenshot URL
+app.post('/screenshot/signed-url', authMiddleware, requireScope('capture'), async (req, res) => {
+  const { expiresIn = config.signedUrlDefaultTtl, ...body } = req.body;
+
+  const params = {};
+  for (const key of CAPTURE_QUERY_PARAMS) {
+    if (body[key] !== undefined) {
+      params[key] = key === 'options' && typeof body[key] === 'object' ? JSON.stringify(body[key]) : body[key];
+    }
+  }
+
+  const capture = parseCaptureRequest(queryToCaptureBody(params), getRequester(req));
+  if (capture.error) {
+    return res.status(capture.error.status).json(capture.error.body);
+  }
+
+  try {
+    const blocked = await checkCaptureUrls(capture);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+  } catch (error) {
+    return sendUrlCheckError(res, error);
+  }
+
+  const ttl = parseInt(expiresIn);
+  if (!ttl || ttl < 1 || ttl > config.signedUrlMaxTtl) {
+    return res.status(400).json({
+      error: 'Invalid expiry',
+      message: `expiresIn must be between 1 and ${config.signedUrlMaxTtl} seconds`
+    });
+  }
+
+  // Bill captures made through the URL to the key that created it
+  if (req.apiKey) {
+    params.key = req.apiKey.id;
+  }
+
+  const signed = signParams(params, urlSigningSecret, ttl);
+  const baseUrl = config.publicUrl || `${req.protocol}://${req.get('host')}`;
+
+  res.json({
+    success: true,
+    url: `${baseUrl.replace(/\/$/, '')}/screenshot?${toQueryString(signed)}`,
+    expiresAt: new Date(signed.expires * 1000).toISOString()
+  });
+});
+
+// Enqueue a capture job and return immediately
+app.post('/jobs', authMiddleware, requireScope('capture'), rateLimiter, quotaMiddleware, async (req, res) => {
+  const capture = parseCaptureRequest(req.body, getRequester(req));
+  if (capture.error) {
+    return res.status(capture.error.status).json(capture.error.body);
+  }
+  // The job settles the reservation when it runs
+  capture.quotaReservation = req.quotaReservation;
+
+  try {
+    const blocked = await checkCaptureUrls(capture);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+  } catch (error) {
+    return sendUrlCheckError(res, error);
+  }
+
+  let job;
+  try {
+    job = jobQueue.enqueue(capture, capture.keyId);
+  } catch (error) {
+    return res.status(503).json({
+      error: 'Queue Full',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(202)
+    .location(`/jobs/${job.id}`)
+    .json({
+      success: true,
+      job: serializeJob(job),
+      links: {
+        status: `/jobs/${job.id}`,
+        result: `/jobs/${job.id}/result`
+      }
+    });
+});
+
+/**
+ * Look up a job the caller created
+ * Jobs belong to the key ID that enqueued them. Anonymous jobs all share the
+ * 'anonymous' owner, so for them the random UUID, only ever returned to the
+ * creator, is what keeps one caller from reading another's job.
+ * @param {object} req - Express request object
+ * @returns {object|null} Job, or null if it does not exist or belongs to another key
+ */
+function findCallerJob(req) {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job || job.owner !== getRequester(req).keyId) {
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Respond with 404 for a job the caller does not own
+ * @param {object} res - Express response object
+ * @param {string} id - Requested job ID
+ */
+function sendJobNotFound(res, id) {
+  res.status(404).json({
+    error: 'Job Not Found',
+    message: `No job with ID ${id}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Poll job status
+app.get('/jobs/:id', authMiddleware, requireScope('read'), (req, res) => {
+  const job = findCallerJob(req);
+  if (!job) {
+    return sendJobNotFound(res, req.params.id);
+  }
+
+  res.json({
+    job: serializeJob(job),
+    webhooks: webhooks.listDeliveries({ jobId: job.id }).map(serializeDelivery)
+  });
+});
+
+// Fetch the result of a finished job
+app.get('/jobs/:id/result', authMiddleware, requireScope('read'), async (req, res) => {
+  const job = findCallerJob(req);
+  if (!job) {
+    return sendJobNotFound(res, req.params.id);
+  }
+
+  if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+    return res.status(409).json({
+      error: 'Job Not Finished',
+      message: `Job is ${job.status}, poll /jobs/${job.id} until it has finished`,
+      job: serializeJob(job)
+    });
+  }
+
+  if (job.status === JOB_STATUS.FAILED) {
+    const { statusCode, errorType } = classifyCaptureError(job.error);
+    return res.status(statusCode).json({
+      error: errorType,
+      message: job.error.message,
+      job: serializeJob(job),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Refresh URLs so pre-signed links are valid when the result is fetched
+  const body = job.result;
+  const withUrl = async (filename) => filename ? storage.getUrl(filename) : undefined;
+
+  try {
+    if (body.type === 'multipleSelectors') {
+      const results = await Promise.all(body.results.map(async r => ({ ...r, url: await withUrl(r.filename) })));
+      res.json({
+        ...body,
+        results,
+        job: serializeJob(job)
+      });
+    } else {
+      res.json({
+        ...body,
+        url: await withUrl(body.filename),
+        job: serializeJob(job)
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      error: 'Storage Error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create a revocable share link for a stored screenshot
+app.post('/shares', authMiddleware, requireApiKey, requireScope('read'), async (req, res) => {
+  const { filename, expiresIn = config.signedUrlDefaultTtl } = req.body;
+
+  if (!filename || typeof filename !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'filename is required',
+      required: ['filename'],
+      received: Object.keys(req.body)
+    });
+  }
+
+  const ttl = parseInt(expiresIn);
+  if (!ttl || ttl < 1 || ttl > config.signedUrlMaxTtl) {
+    return res.status(400).json({
+      error: 'Invalid expiry',
+      message: `expiresIn must be between 1 and ${config.signedUrlMaxTtl} seconds`
+    });
+  }
+
+  const owner = getRequester(req).keyId;
+  if (!shareLinks.ownsFile(filename, owner)) {
+    return res.status(404).json({
+      error: 'File Not Found',
+      message: `No stored screenshot named ${filename}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const stored = await storage.stat(filename);
+    if (!stored) {
+      return res.status(404).json({
+        error: 'File Not Found',
+        message: `No stored screenshot named ${filename}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid filename',
+      message: error.message
+    });
+  }
+
+  const { link, query } = shareLinks.create(filename, ttl, owner);
+  const baseUrl = config.publicUrl || `${req.protocol}://${req.get('host')}`;
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '..', 'public')));
-app.use('/screenshots', express.static(config.screenshotsDir));
+  res.status(201).json({
+    success: true,
+    share: link,
+    url: `${baseUrl.replace(/\/$/, '')}/screenshots/${encodeURIComponent(filename)}?${query}`
+  });
+});
+
+// List the caller's share links
+app.get('/shares', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const links = shareLinks.list(getRequester(req).keyId);
+  res.json({
+    count: links.length,
+    shares: links
+  });
+});
+
+// Revoke a share link
+app.delete('/shares/:id', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const link = shareLinks.revoke(req.params.id, getRequester(req).keyId);
+  if (!link) {
+    return res.status(404).json({
+      error: 'Share Not Found',
+      message: `No share link with ID ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    share: link,
+    message: 'Share link revoked'
+  });
+});
+
+/**
+ * Validate profile login settings from a request body
+ * @param {object} body - Request body with loginUrl, loginRecipe and successSelector
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfileLogin({ loginUrl, loginRecipe, successSelector }) {
+  if (loginUrl !== undefined && loginUrl !== null) {
+    let parsed;
+    try {
+      parsed = new URL(loginUrl);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'loginUrl must be a valid http:// or https:// URL';
+    }
+  }
+
+  const recipeErrors = validateActions(loginRecipe);
+  if (recipeErrors.length > 0) {
+    return recipeErrors.map(error => error.replace(/^actions/, 'loginRecipe')).join('; ');
+  }
 
-// Rate limiting (if enabled)
-if (config.rateLimitEnabled) {
-  const rateLimiter = createRateLimiter(config.rateLimitMax, config.rateLimitWindow);
-  app.use('/screenshot', rateLimiter);
+  if (successSelector !== undefined && successSelector !== null && typeof successSelector !== 'string') {
+    return 'successSelector must be a CSS selector';
+  }
+
+  return null;
+}
+
+/**
+ * Respond with 404 for a profile the caller does not own
+ * @param {object} res - Express response object
+ * @param {string} id - Requested profile ID or name
+ */
+function sendProfileNotFound(res, id) {
+  res.status(404).json({
+    error: 'Profile Not Found',
+    message: `No profile with ID or name ${id}`,
+    timestamp: new Date().toISOString()
+  });
 }
 
-// Ensure screenshots directory exists
-async function ensureScreenshotsDir() {
+// Create a browser profile
+app.post('/profiles', authMiddleware, requireApiKey, requireScope('capture'), (req, res) => {
+  const { name, loginUrl = null, loginRecipe = [], successSelector = null } = req.body;
+
+  if (!name || typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({
+      error: 'Invalid profile name',
+      message: 'name is required and may contain letters, digits, dots, dashes and underscores (max 64)',
+      required: ['name'],
+      received: Object.keys(req.body)
+    });
+  }
+
+  const invalid = validateProfileLogin({ loginUrl, loginRecipe, successSelector });
+  if (invalid) {
+    return res.status(400).json({
+      error: 'Invalid login recipe',
+      message: invalid
+    });
+  }
+
+  let profile;
   try {
-    await fs.access(config.screenshotsDir);
-  } catch {
-    await fs.mkdir(config.screenshotsDir, { recursive: true });
+    profile = profiles.create({ name, owner: getRequester(req).keyId, loginUrl, loginRecipe, successSelector });
+  } catch (error) {
+    return res.status(409).json({
+      error: 'Profile Exists',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
-}
 
-// Routes
-app.get('/', (req, res) => {
+  console.log(`👤 Profile created: ${profile.name} (${profile.id})`);
+  res.status(201).json({
+    success: true,
+    profile: serializeProfile(profile)
+  });
+});
+
+// List the caller's profiles
+app.get('/profiles', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const list = profiles.list(getRequester(req).keyId);
   res.json({
-    message: 'DOM Element Screenshot API',
-    version: '1.0.0',
-    features: [
-      'Capture screenshots of specific DOM elements',
-      'Customizable viewport and options',
-      'PNG and JPEG format support',
-      'API key authentication',
-      'Rate limiting'
-    ],
-    endpoints: {
-      'POST /screenshot': 'Take a screenshot of a specific element',
-      'GET /health': 'Health check endpoint',
-      'GET /stats': 'Get API statistics'
-    },
-    documentation: 'https://github.com/ParthPatelCa/element-screenshot-api'
+    count: list.length,
+    profiles: list.map(serializeProfile)
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    environment: config.nodeEnv,
-    authentication: config.enableAuth ? 'enabled' : 'disabled'
+// Get one profile
+app.get('/profiles/:id', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const profile = profiles.find(getRequester(req).keyId, req.params.id);
+  if (!profile) {
+    return sendProfileNotFound(res, req.params.id);
+  }
+
+  res.json({ profile: serializeProfile(profile) });
+});
+
+// Update a profile's login recipe
+app.patch('/profiles/:id', authMiddleware, requireApiKey, requireScope('capture'), (req, res) => {
+  const profile = profiles.find(getRequester(req).keyId, req.params.id);
+  if (!profile) {
+    return sendProfileNotFound(res, req.params.id);
+  }
+
+  const invalid = validateProfileLogin(req.body);
+  if (invalid) {
+    return res.status(400).json({
+      error: 'Invalid login recipe',
+      message: invalid
+    });
+  }
+
+  const updated = profiles.update(profile.id, req.body);
+  res.json({
+    success: true,
+    profile: serializeProfile(updated)
   });
 });
 
-// Stats endpoint (no auth required)
-app.get('/stats', async (req, res) => {
+// Delete a profile and its stored browser data
+app.delete('/profiles/:id', authMiddleware, requireApiKey, requireScope('capture'), async (req, res) => {
+  const profile = profiles.find(getRequester(req).keyId, req.params.id);
+  if (!profile) {
+    return sendProfileNotFound(res, req.params.id);
+  }
+
+  await browserPool.closeProfile(profile.id);
+  await profiles.remove(profile.id);
+  console.log(`🗑️ Profile deleted: ${profile.name} (${profile.id})`);
+
+  res.json({
+    success: true,
+    profile: serializeProfile(profile),
+    message: 'Profile deleted'
+  });
+});
+
+// Replay a profile's login recipe to refresh its session
+app.post('/profiles/:id/login', authMiddleware, requireApiKey, requireScope('capture'), rateLimiter, quotaMiddleware, async (req, res) => {
+  const requester = getRequester(req);
+  const profile = profiles.find(requester.keyId, req.params.id);
+  if (!profile) {
+    return sendProfileNotFound(res, req.params.id);
+  }
+
+  if (!profile.loginUrl) {
+    return res.status(400).json({
+      error: 'No login recipe',
+      message: 'Set loginUrl and loginRecipe on the profile before logging in'
+    });
+  }
+
   try {
-    const { getDirectoryStats } = require('./utils');
-    const stats = await getDirectoryStats(config.screenshotsDir);
-    
+    const result = await runLoginRecipe({
+      url: profile.loginUrl,
+      actions: profiles.getLoginRecipe(profile),
+      successSelector: profile.successSelector,
+      timeout: config.browserTimeout
+    }, {
+      urlPolicy: requester.urlPolicy,
+      profile: profiles.getBrowserProfile(profile.id)
+    });
+
+    recordUsage(requester.keyId, { browserMs: result.browserMs }, req.quotaReservation);
+    profiles.recordLogin(profile.id);
+
     res.json({
-      screenshots: {
-        count: stats.fileCount,
-        totalSize: stats.totalSize
-      },
-      config: {
-        maxFileSize: `${config.maxFileSize / (1024 * 1024)}MB`,
-        defaultFormat: config.defaultFormat,
-        autoCleanup: config.autoCleanup
-      },
-      timestamp: new Date().toISOString()
+      success: true,
+      profile: serializeProfile(profile),
+      url: result.url,
+      message: 'Login recipe completed'
     });
   } catch (error) {
-    res.status(500).json({
-      error: 'Failed to get stats',
-      message: error.message
+    console.error(`Login failed for profile ${profile.id}:`, error.message);
+    profiles.recordLogin(profile.id, error);
+
+    const { statusCode, errorType } = classifyCaptureError(error);
+    res.status(statusCode).json({
+      error: errorType === 'Screenshot Failed' ? 'Login Failed' : errorType,
+      message: error.message,
+      profile: serializeProfile(profile),
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-// Screenshot endpoint with authentication
-const authMiddleware = config.enableAuth ? checkApiKey : optionalApiKey;
-app.post('/screenshot', authMiddleware, async (req, res) => {
-  try {
-    const { 
-      url, 
-      selector, 
-      options = {},
-      fullPage = false,
-      viewportWidth,
-      viewportHeight
-    } = req.body;
+// Admin: issue a new API key
+app.post('/admin/keys', checkApiKey, requireScope('admin'), (req, res) => {
+  const { label, scopes = ['capture', 'read'], expiresAt, expiresIn, quotas = {}, urlPolicy: keyUrlPolicy } = req.body;
 
-    // Validation
-    if (!url) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'URL is required',
-        required: ['url'],
-        received: Object.keys(req.body)
-      });
-    }
+  if (!label || typeof label !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'label is required',
+      required: ['label'],
+      received: Object.keys(req.body)
+    });
+  }
 
-    // If not full page, selector is required
-    if (!fullPage && !selector) {
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+    return res.status(400).json({
+      error: 'Invalid scopes',
+      message: `scopes must be a non-empty array of: ${SCOPES.join(', ')}`
+    });
+  }
+
+  const invalidQuota = typeof quotas !== 'object' || Object.entries(quotas).find(([field, value]) =>
+    !QUOTA_FIELDS.includes(field) || !Number.isInteger(value) || value < 0
+  );
+  if (invalidQuota) {
+    return res.status(400).json({
+      error: 'Invalid quotas',
+      message: `quotas may set ${QUOTA_FIELDS.join(', ')} to non-negative integers (0 = unlimited)`
+    });
+  }
+
+  if (keyUrlPolicy !== undefined) {
+    const isList = value => value === undefined || (Array.isArray(value) && value.every(entry => typeof entry === 'string'));
+    if (!keyUrlPolicy || typeof keyUrlPolicy !== 'object' || !isList(keyUrlPolicy.allowlist) || !isList(keyUrlPolicy.denylist)) {
       return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Selector is required when fullPage is false',
-        required: ['url', 'selector'],
-        received: Object.keys(req.body)
+        error: 'Invalid URL policy',
+        message: 'urlPolicy may set allowlist and denylist to arrays of hostnames, *.wildcards, IPs or CIDR ranges'
       });
     }
+  }
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch {
+  let expiry = null;
+  if (expiresIn !== undefined) {
+    const seconds = parseInt(expiresIn);
+    if (!seconds || seconds < 1) {
       return res.status(400).json({
-        error: 'Invalid URL format',
-        message: 'Please provide a valid URL starting with http:// or https://'
+        error: 'Invalid expiry',
+        message: 'expiresIn must be a positive number of seconds'
       });
     }
-
-    // Validate selector(s) if provided
-    if (selector && !isValidSelector(selector)) {
+    expiry = new Date(Date.now() + seconds * 1000).toISOString();
+  } else if (expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
       return res.status(400).json({
-        error: 'Invalid selector format',
-        message: 'Please provide a valid CSS selector or array of selectors'
+        error: 'Invalid expiry',
+        message: 'expiresAt must be a future ISO date'
       });
     }
+    expiry = date.toISOString();
+  }
 
-    // Merge with default options
-    const mergedOptions = {
-      format: config.defaultFormat,
-      quality: config.defaultQuality,
-      timeout: config.browserTimeout,
-      viewport: { ...config.defaultViewport },
-      fullPage,
-      viewportWidth,
-      viewportHeight,
-      ...options
-    };
+  const { key, record } = apiKeys.create({
+    label,
+    scopes,
+    expiresAt: expiry,
+    quotas,
+    urlPolicy: keyUrlPolicy ? { allowlist: keyUrlPolicy.allowlist || [], denylist: keyUrlPolicy.denylist || [] } : null
+  });
+  console.log(`🔑 API key created: ${record.label} (${record.id})`);
 
-    // Take screenshot
-    const screenshotType = fullPage ? 'full page' : Array.isArray(selector) ? `${selector.length} selectors` : 'single selector';
-    console.log(`📸 Screenshot request: ${url} -> ${screenshotType}`);
-    
-    const result = await takeScreenshot(url, selector, mergedOptions);
+  res.status(201).json({
+    success: true,
+    key,
+    apiKey: record,
+    message: 'Store this key now, it cannot be shown again'
+  });
+});
 
-    // Handle different result types
-    if (result.type === 'multipleSelectors') {
-      res.json({
-        success: true,
-        type: 'multipleSelectors',
-        totalSelectors: result.totalSelectors,
-        successCount: result.successCount,
-        failureCount: result.failureCount,
-        results: result.results.map(r => ({
-          selector: r.selector,
-          success: r.success,
-          filename: r.success ? r.filename : undefined,
-          size: r.success ? r.size : undefined,
-          error: !r.success ? r.error : undefined
-        })),
-        format: mergedOptions.format,
-        viewport: mergedOptions.viewport,
-        timestamp: new Date().toISOString(),
-        message: `Captured ${result.successCount}/${result.totalSelectors} screenshots successfully`
-      });
-    } else {
-      res.json({
-        success: true,
-        type: result.type || 'singleSelector',
-        filename: result.filename,
-        size: result.size,
-        format: mergedOptions.format,
-        viewport: mergedOptions.viewport,
-        timestamp: new Date().toISOString(),
-        message: 'Screenshot captured successfully'
+// Admin: list API keys
+app.get('/admin/keys', checkApiKey, requireScope('admin'), (req, res) => {
+  const keys = apiKeys.list();
+  res.json({
+    count: keys.length,
+    keys
+  });
+});
+
+// Admin: revoke an API key
+app.delete('/admin/keys/:id', checkApiKey, requireScope('admin'), (req, res) => {
+  const record = apiKeys.revoke(req.params.id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'API Key Not Found',
+      message: `No API key with ID ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`🔒 API key revoked: ${record.label} (${record.id})`);
+  res.json({
+    success: true,
+    apiKey: record,
+    message: 'API key revoked'
+  });
+});
+
+// Usage and quota status for the caller's key (admins may pass ?keyId=)
+app.get('/usage', authMiddleware, requireScope('read'), (req, res) => {
+  const requester = getRequester(req);
+  let keyId = requester.keyId;
+  let quotas = requester.quotas;
+
+  if (req.query.keyId && req.query.keyId !== keyId) {
+    if (!req.apiKey || !req.apiKey.scopes.includes('admin')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: "Viewing another key's usage requires the 'admin' scope"
       });
     }
 
-  } catch (error) {
-    console.error('Screenshot error:', error);
-    
-    // Determine error type and status code
-    let statusCode = 500;
-    let errorType = 'Screenshot Failed';
-    
-    if (error.message.includes('Element not found')) {
-      statusCode = 404;
-      errorType = 'Element Not Found';
-    } else if (error.message.includes('timeout')) {
-      statusCode = 408;
-      errorType = 'Request Timeout';
-    } else if (error.message.includes('net::ERR_')) {
-      statusCode = 400;
-      errorType = 'Network Error';
-    } else if (error.message.includes('Viewport dimensions')) {
-      statusCode = 400;
-      errorType = 'Invalid Viewport';
-    }
+    const record = apiKeys.get(req.query.keyId);
+    keyId = req.query.keyId;
+    quotas = record ? record.quotas : undefined;
+  }
 
-    res.status(statusCode).json({
-      error: errorType,
-      message: error.message,
+  const granularity = req.query.granularity === 'month' ? 'month' : 'day';
+  const days = Math.min(parseInt(req.query.days) || 30, 400);
+  const from = req.query.from || new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  const to = req.query.to || new Date().toISOString().substring(0, 10);
+
+  const formatTotals = totals => ({
+    captures: totals.captures,
+    bytes: totals.bytes,
+    browserSeconds: Math.round(totals.browserMs / 100) / 10
+  });
+
+  const status = usage.checkQuota(keyId, quotas);
+
+  res.json({
+    keyId,
+    today: formatTotals(usage.getTotals(keyId, 'day')),
+    thisMonth: formatTotals(usage.getTotals(keyId, 'month')),
+    quotas: status.windows,
+    history: {
+      from,
+      to,
+      granularity,
+      periods: usage.getHistory(keyId, { from, to, granularity }).map(entry => ({
+        period: entry.period,
+        ...formatTotals(entry)
+      }))
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Signing secret for the caller's webhooks
+app.get('/webhooks/secret', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  res.json({
+    algorithm: 'HMAC-SHA256',
+    header: 'X-Webhook-Signature',
+    secret: deriveWebhookSecret(webhookSecret, getBearerToken(req))
+  });
+});
+
+// Inspect webhook delivery attempts
+app.get('/webhooks/deliveries', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const deliveries = webhooks.listDeliveries({
+    owner: getRequester(req).keyId,
+    jobId: req.query.jobId
+  });
+
+  res.json({
+    count: deliveries.length,
+    deliveries: deliveries.map(serializeDelivery)
+  });
+});
+
+app.get('/webhooks/deliveries/:id', authMiddleware, requireApiKey, requireScope('read'), (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.id);
+  if (!delivery || delivery.owner !== getRequester(req).keyId) {
+    return res.status(404).json({
+      error: 'Delivery Not Found',
+      message: `No webhook delivery with ID ${req.params.id}`,
       timestamp: new Date().toISOString()
     });
   }
-});
 
-// Device viewport configurations
-const DEVICE_VIEWPORTS = {
-  mobile: { width: 375, height: 667 },
-  tablet: { width: 768, height: 1024 },
-  desktop: { width: 1920, height: 1080 },
-};
+  res.json({ delivery: serializeDelivery(delivery) });
+});
 
 // Frontend API endpoint - returns base64 image
-app.post('/api/screenshot', async (req, res) => {
+app.post('/api/screenshot', rateLimiter, quotaMiddleware, async (req, res) => {
   try {
     const { 
       url, 
       selector, 
       device = 'desktop', 
+      deviceScaleFactor,
+      colorScheme,
+      reducedMotion,
+      media,
+      forcedColors,
       delay = 0,
       fullPage = false,
       viewportWidth,
@@ -273,21 +1607,34 @@ app.post('/api/screenshot', async (req, res) => {
       });
     }
 
-    // Get viewport for device or use custom dimensions
-    let viewport;
-    if (viewportWidth && viewportHeight) {
-      viewport = { 
-        width: parseInt(viewportWidth), 
-        height: parseInt(viewportHeight) 
-      };
-    } else {
-      viewport = DEVICE_VIEWPORTS[device] || DEVICE_VIEWPORTS.desktop;
+    if (selector && !isValidSelector(selector)) {
+      return res.status(400).json({
+        success: false,
+        message: describeInvalidSelector(selector)
+      });
+    }
+
+    const emulation = { device, deviceScaleFactor, colorScheme, reducedMotion, media, forcedColors };
+    const emulationErrors = [...validateDeviceOptions(emulation), ...validateMediaOptions(emulation)];
+    if (emulationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: emulationErrors.join('; ')
+      });
+    }
+
+    const verdict = await urlPolicy.check(url);
+    if (!verdict.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `URL not allowed: ${verdict.reason}`
+      });
     }
 
-    // Prepare options
+    // Prepare options; the device sets the viewport unless custom dimensions are given
     const options = {
       format: 'png',
-      viewport,
+      ...emulation,
       delay: Math.max(0, delay),
       timeout: 30000,
       waitForSelector: true,
@@ -298,9 +1645,10 @@ app.post('/api/screenshot', async (req, res) => {
 
     // Take screenshot and get base64
     const screenshotType = fullPage ? 'full page' : Array.isArray(selector) ? `${selector.length} selectors` : 'single selector';
-    console.log(`📱 Frontend screenshot request: ${url} -> ${screenshotType} (${device})`);
+    console.log(`📱 Frontend screenshot request: ${redactUrl(url)} -> ${screenshotType} (${device})`);
     
     const result = await takeScreenshot(url, selector, options);
+    recordCaptureUsage('anonymous', result, req.quotaReservation);
 
     // Handle different result types
     if (result.type === 'multipleSelectors') {
@@ -310,7 +1658,7 @@ app.post('/api/screenshot', async (req, res) => {
       for (const item of result.results) {
         if (item.success) {
           try {
-            const imageBuffer = await fs.readFile(item.path);
+            const imageBuffer = await storage.read(item.filename);
             const base64Image = imageBuffer.toString('base64');
             
             images.push({
@@ -321,7 +1669,7 @@ app.post('/api/screenshot', async (req, res) => {
             });
             
             // Clean up the file
-            await fs.unlink(item.path);
+            await storage.delete(item.filename);
           } catch (error) {
             console.warn('Failed to process image for selector:', item.selector, error.message);
             images.push({
@@ -347,18 +1695,18 @@ app.post('/api/screenshot', async (req, res) => {
         failureCount: result.failureCount,
         images,
         device,
-        viewport,
+        viewport: result.viewport,
         timestamp: new Date().toISOString()
       });
       
     } else {
       // Single screenshot result
-      const imageBuffer = await fs.readFile(result.path);
+      const imageBuffer = await storage.read(result.filename);
       const base64Image = imageBuffer.toString('base64');
 
       // Clean up the file after sending
       try {
-        await fs.unlink(result.path);
+        await storage.delete(result.filename);
       } catch (error) {
         console.warn('Failed to clean up temporary file:', error.message);
       }
@@ -368,7 +1716,7 @@ app.post('/api/screenshot', async (req, res) => {
         type: result.type || 'singleSelector',
         image: base64Image,
         device,
-        viewport,
+        viewport: result.viewport,
         size: result.size,
         timestamp: new Date().toISOString()
       });
@@ -378,8 +1726,12 @@ app.post('/api/screenshot', async (req, res) => {
     console.error('Frontend screenshot error:', error);
     
     let message = 'Failed to capture screenshot';
+    let statusCode = 500;
     if (error.message.includes('Element not found')) {
       message = 'Element not found with the provided selector';
+    } else if (error.message.includes('URL not allowed')) {
+      message = error.message;
+      statusCode = 403;
     } else if (error.message.includes('timeout')) {
       message = 'Request timed out - the page took too long to load';
     } else if (error.message.includes('net::ERR_')) {
@@ -388,7 +1740,7 @@ app.post('/api/screenshot', async (req, res) => {
       message = 'Invalid viewport dimensions provided';
     }
 
-    res.status(500).json({
+    res.status(statusCode).json({
       success: false,
       message,
       timestamp: new Date().toISOString()
@@ -414,8 +1766,31 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /',
       'GET /health',
+      'GET /devices',
       'GET /stats',
-      'POST /screenshot'
+      'POST /screenshot',
+      'GET /screenshot',
+      'POST /screenshot/signed-url',
+      'POST /jobs',
+      'GET /jobs/:id',
+      'GET /jobs/:id/result',
+      'GET /screenshots/:filename',
+      'POST /shares',
+      'GET /shares',
+      'DELETE /shares/:id',
+      'POST /profiles',
+      'GET /profiles',
+      'GET /profiles/:id',
+      'PATCH /profiles/:id',
+      'DELETE /profiles/:id',
+      'POST /profiles/:id/login',
+      'POST /admin/keys',
+      'GET /admin/keys',
+      'DELETE /admin/keys/:id',
+      'GET /usage',
+      'GET /webhooks/deliveries',
+      'GET /webhooks/deliveries/:id',
+      'GET /webhooks/secret'
     ],
     timestamp: new Date().toISOString()
   });
@@ -426,7 +1801,8 @@ async function performCleanup() {
   if (config.autoCleanup) {
     try {
       const { cleanupOldScreenshots } = require('./utils');
-      const deletedCount = await cleanupOldScreenshots(config.cleanupMaxAge);
+      const deletedCount = await cleanupOldScreenshots(storage, config.cleanupMaxAge);
+      shareLinks.pruneFiles(config.cleanupMaxAge);
       if (deletedCount > 0) {
         console.log(`🧹 Cleaned up ${deletedCount} old screenshot(s)`);
       }
@@ -439,7 +1815,7 @@ async function performCleanup() {
 // Start server
 async function startServer() {
   try {
-    await ensureScreenshotsDir();
+    await storage.init();
     
     // Print configuration summary
     printConfigSummary(config);
@@ -454,7 +1830,7 @@ async function startServer() {
     
     app.listen(config.port, () => {
       console.log(`🚀 Element Screenshot API running on port ${config.port}`);
-      console.log(`📁 Screenshots directory: ${config.screenshotsDir}`);
+      console.log(`📁 Screenshot storage: ${config.storageType === 's3' ? `s3://${config.s3.bucket}` : config.screenshotsDir}`);
       console.log(`🌐 API available at: http://localhost:${config.port}`);
       console.log(`🔐 Authentication: ${config.enableAuth ? 'Required' : 'Optional'}`);
       
@@ -475,14 +1851,31 @@ async function startServer() {
 }
 
 // Graceful shutdown
+async function shutdown() {
+  try {
+    await browserPool.shutdown();
+  } catch (error) {
+    console.error('Failed to close browser pool:', error.message);
+  }
+
+  if (rateLimitStore) {
+    try {
+      await rateLimitStore.close();
+    } catch (error) {
+      console.error('Failed to close rate limit store:', error.message);
+    }
+  }
+  process.exit(0);
+}
+
 process.on('SIGTERM', () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   console.log('🛑 Received SIGINT, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
 startServer();
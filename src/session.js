@@ -0,0 +1,222 @@
+/**
+ * Capture Session Settings
+ * Applies per-capture request headers, cookies, HTTP basic auth and user
+ * agent to a page, and redacts their secrets for logging
+ */
+
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+// Header names whose values are never logged
+const SENSITIVE_HEADER_PATTERN = /auth|cookie|token|key|secret|session|password/i;
+
+const REDACTED = '[REDACTED]';
+
+// RFC 7230 token characters allowed in header names
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Control characters other than tab, including CR and LF, are not allowed in header values
+const HEADER_VALUE_INVALID = /[\u0000-\u0008\u000a-\u001f\u007f]/;
+
+/**
+ * Convert a cookie expiry (Unix seconds or ISO date) to Unix seconds
+ * @param {number|string} expires - Expiry
+ * @returns {number|null} Unix seconds, or null if invalid
+ */
+function toUnixSeconds(expires) {
+  if (typeof expires === 'number') return expires;
+  const time = new Date(expires).getTime();
+  return isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * Validate headers, cookies, httpAuth and userAgent options
+ * @param {object} options - Capture options
+ * @returns {array} Error messages
+ */
+function validateSessionOptions(options = {}) {
+  const errors = [];
+
+  if (options.headers !== undefined) {
+    const { headers } = options;
+    const valid = headers && typeof headers === 'object' && !Array.isArray(headers) &&
+      Object.values(headers).every(value => typeof value === 'string');
+    if (!valid) {
+      errors.push('headers must be an object of header names to string values');
+    } else {
+      for (const [name, value] of Object.entries(headers)) {
+        if (!HEADER_NAME_PATTERN.test(name)) {
+          errors.push(`headers: "${name}" is not a valid header name`);
+        } else if (HEADER_VALUE_INVALID.test(value)) {
+          errors.push(`headers.${name} must not contain control characters or line breaks`);
+        }
+      }
+    }
+  }
+
+  if (options.cookies !== undefined) {
+    if (!Array.isArray(options.cookies)) {
+      errors.push('cookies must be an array');
+    } else {
+      options.cookies.forEach((cookie, index) => {
+        if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+          errors.push(`cookies[${index}] requires string name and value`);
+          return;
+        }
+        if (cookie.expires !== undefined && toUnixSeconds(cookie.expires) === null) {
+          errors.push(`cookies[${index}].expires must be Unix seconds or an ISO date`);
+        }
+        if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(cookie.sameSite)) {
+          errors.push(`cookies[${index}].sameSite must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (options.httpAuth !== undefined) {
+    const { httpAuth } = options;
+    if (!httpAuth || typeof httpAuth.username !== 'string' || typeof httpAuth.password !== 'string') {
+      errors.push('httpAuth must be { username, password }');
+    } else if (httpAuth.username.includes(':')) {
+      // Basic auth joins the two with a colon
+      errors.push('httpAuth.username must not contain a colon');
+    }
+  }
+
+  if (options.userAgent !== undefined && (typeof options.userAgent !== 'string' || !options.userAgent.trim())) {
+    errors.push('userAgent must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Apply cookies and user agent to a page before navigation
+ * Cookies go into the page's own incognito context and are discarded with
+ * it when the page is released. Headers and HTTP auth are not set here: they
+ * are added per request so they only go to the target's origin (see
+ * getRequestHeaders).
+ * @param {object} page - Puppeteer page object
+ * @param {string} url - URL about to be captured
+ * @param {object} options - Capture options
+ */
+async function applySessionOptions(page, url, options) {
+  if (options.userAgent) {
+    await page.setUserAgent(options.userAgent);
+  }
+
+  if (options.cookies && options.cookies.length > 0) {
+    await page.setCookie(...options.cookies.map(cookie => {
+      const pageCookie = {
+        name: cookie.name,
+        value: cookie.value,
+        path: cookie.path || '/',
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure)
+      };
+
+      // Without a domain the cookie is scoped to the captured URL's host
+      if (cookie.domain) {
+        pageCookie.domain = cookie.domain;
+      } else {
+        pageCookie.url = url;
+      }
+
+      if (cookie.expires !== undefined) {
+        pageCookie.expires = toUnixSeconds(cookie.expires);
+      }
+
+      if (cookie.sameSite) {
+        pageCookie.sameSite = cookie.sameSite;
+      }
+
+      return pageCookie;
+    }));
+  }
+}
+
+/**
+ * Build a function that returns extra headers for requests to the target's origin
+ * Third-party requests never receive the caller's headers or credentials.
+ * httpAuth is sent pre-emptively as a Basic Authorization header, unless the
+ * caller set an Authorization header of their own.
+ * @param {string} url - URL being captured
+ * @param {object} options - Capture options
+ * @returns {function|null} (requestUrl) => headers or null, or null when no headers are set
+ */
+function getRequestHeaders(url, options) {
+  const headers = { ...options.headers };
+
+  const hasAuthorization = Object.keys(headers).some(name => name.toLowerCase() === 'authorization');
+  if (options.httpAuth && !hasAuthorization) {
+    const { username, password } = options.httpAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  if (Object.keys(headers).length === 0) {
+    return null;
+  }
+
+  const origin = new URL(url).origin;
+  return requestUrl => {
+    try {
+      return new URL(requestUrl).origin === origin ? headers : null;
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Remove credentials from a URL for logging
+ * @param {string} url - URL
+ * @returns {string} URL without username and password
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.username && !parsed.password) {
+      return url;
+    }
+    return `${parsed.protocol}//${REDACTED}@${parsed.host}${parsed.pathname}${parsed.search}${parsed.hash}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Describe session options for logging with secrets redacted
+ * @param {object} options - Capture options
+ * @returns {string} Summary, empty when no session options are set
+ */
+function describeSessionOptions(options) {
+  const parts = [];
+
+  if (options.headers && Object.keys(options.headers).length > 0) {
+    const headers = Object.entries(options.headers).map(([name, value]) =>
+      `${name}=${SENSITIVE_HEADER_PATTERN.test(name) ? REDACTED : value}`
+    );
+    parts.push(`headers: ${headers.join(', ')}`);
+  }
+
+  if (options.cookies && options.cookies.length > 0) {
+    parts.push(`cookies: ${options.cookies.map(cookie => `${cookie.name}=${REDACTED}`).join(', ')}`);
+  }
+
+  if (options.httpAuth) {
+    parts.push(`httpAuth: ${options.httpAuth.username}:${REDACTED}`);
+  }
+
+  if (options.userAgent) {
+    parts.push(`userAgent: ${options.userAgent}`);
+  }
+
+  return parts.join('; ');
+}
+
+module.exports = {
+  validateSessionOptions,
+  applySessionOptions,
+  getRequestHeaders,
+  redactUrl,
+  describeSessionOptions
+};
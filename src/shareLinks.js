@@ -0,0 +1,218 @@
+/**
+ * Share Links
+ * Signed, expiring and revocable download links for stored screenshots, and
+ * the record of which key captured each file so only its owner can share it
+ */
+
+const crypto = require('crypto');
+const { signParams, verifyParams, toQueryString } = require('./signing');
+
+/**
+ * Create a share link manager
+ * @param {object} options - Manager options
+ * @param {object} options.store - JSON store used to persist links
+ * @param {string} options.secret - URL signing secret
+ * @returns {object} Manager with link and file ownership methods
+ */
+function createShareLinks(options = {}) {
+  const { store, secret } = options;
+
+  if (!store || !secret) {
+    throw new Error('Share links require a store and a secret');
+  }
+
+  if (!store.data.links) {
+    store.data.links = {};
+  }
+
+  if (!store.data.files) {
+    store.data.files = {};
+  }
+
+  /**
+   * Drop links that expired more than a day ago
+   */
+  function pruneLinks() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const [id, link] of Object.entries(store.data.links)) {
+      if (new Date(link.expiresAt).getTime() < cutoff) {
+        delete store.data.links[id];
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Build a signed query string for a stored file
+   * @param {string} filename - Stored file name
+   * @param {number} ttl - Lifetime in seconds
+   * @param {string} linkId - Share link ID, for revocable links (optional)
+   * @returns {object} Query string and expiry
+   */
+  function sign(filename, ttl, linkId) {
+    const signed = signParams({ file: filename, link: linkId }, secret, ttl);
+    const { file, ...query } = signed;
+
+    return {
+      query: toQueryString(query),
+      expiresAt: new Date(signed.expires * 1000)
+    };
+  }
+
+  /**
+   * Create a revocable share link
+   * @param {string} filename - Stored file name
+   * @param {number} ttl - Lifetime in seconds
+   * @param {string} owner - ID of the API key creating the link
+   * @returns {object} Link record plus its signed query string
+   */
+  function create(filename, ttl, owner) {
+    pruneLinks();
+
+    const id = crypto.randomUUID();
+    const { query, expiresAt } = sign(filename, ttl, id);
+
+    const link = {
+      id,
+      filename,
+      owner,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      revoked: false,
+      revokedAt: null
+    };
+
+    store.data.links[id] = link;
+    store.save();
+
+    return { link, query };
+  }
+
+  /**
+   * Verify a download request for a stored file
+   * @param {string} filename - Requested file name
+   * @param {object} query - Request query parameters
+   * @returns {object} Verification result with valid flag and reason
+   */
+  function verify(filename, query) {
+    const verification = verifyParams({ ...query, file: filename }, secret);
+    if (!verification.valid || !query.link) {
+      return verification;
+    }
+
+    const link = store.data.links[query.link];
+    if (!link || link.filename !== filename) {
+      return { valid: false, reason: 'Unknown share link' };
+    }
+
+    if (link.revoked) {
+      return { valid: false, reason: 'Share link has been revoked' };
+    }
+
+    return verification;
+  }
+
+  /**
+   * List the links created by a key
+   * @param {string} owner - API key ID
+   * @returns {array} Link records, newest first
+   */
+  function list(owner) {
+    return Object.values(store.data.links)
+      .filter(link => link.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Revoke a link
+   * @param {string} id - Link ID
+   * @param {string} owner - API key ID; only the creator may revoke
+   * @returns {object|null} Revoked link, or null if not found
+   */
+  function revoke(id, owner) {
+    const link = store.data.links[id];
+    if (!link || link.owner !== owner) {
+      return null;
+    }
+
+    if (!link.revoked) {
+      link.revoked = true;
+      link.revokedAt = new Date().toISOString();
+      store.save();
+    }
+
+    return link;
+  }
+
+  /**
+   * Record the key that captured stored files
+   * @param {array} filenames - Stored file names
+   * @param {string} owner - API key ID
+   */
+  function recordFiles(filenames, owner) {
+    if (filenames.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    for (const filename of filenames) {
+      store.data.files[filename] = { owner, createdAt };
+    }
+    store.save();
+  }
+
+  /**
+   * Check whether a key captured a stored file
+   * @param {string} filename - Stored file name
+   * @param {string} owner - API key ID
+   * @returns {boolean} True if the file was recorded for this key
+   */
+  function ownsFile(filename, owner) {
+    const file = store.data.files[filename];
+    return Boolean(file) && file.owner === owner;
+  }
+
+  /**
+   * Drop ownership records for files that were removed from storage
+   * @param {array} filenames - Stored file names
+   */
+  function forgetFiles(filenames) {
+    const known = filenames.filter(filename => store.data.files[filename]);
+    if (known.length === 0) return;
+
+    known.forEach(filename => delete store.data.files[filename]);
+    store.save();
+  }
+
+  /**
+   * Drop ownership records older than the screenshot cleanup age
+   * @param {number} maxAgeHours - Age after which stored files are cleaned up
+   * @returns {number} Number of records removed
+   */
+  function pruneFiles(maxAgeHours) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    const expired = Object.keys(store.data.files)
+      .filter(filename => new Date(store.data.files[filename].createdAt).getTime() < cutoff);
+
+    forgetFiles(expired);
+    return expired.length;
+  }
+
+  return {
+    create,
+    sign,
+    verify,
+    list,
+    revoke,
+    recordFiles,
+    ownsFile,
+    forgetFiles,
+    pruneFiles
+  };
+}
+
+module.exports = {
+  createShareLinks
+};
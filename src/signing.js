@@ -0,0 +1,93 @@
+/**
+ * URL Signing
+ * HMAC-signed, expiring query strings for links that cannot carry an
+ * Authorization header (img tags, emails, shared downloads)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Build the canonical string that gets signed
+ * @param {object} params - Query parameters, excluding the token
+ * @returns {string} Canonical query string with sorted keys
+ */
+function canonicalize(params) {
+  return Object.keys(params)
+    .filter(key => key !== 'token' && params[key] !== undefined && params[key] !== null)
+    .sort()
+    .flatMap(key => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return values.map(value => {
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `${encodeURIComponent(key)}=${encodeURIComponent(text)}`;
+      });
+    })
+    .join('&');
+}
+
+/**
+ * Compute the signature for a set of parameters
+ * @param {object} params - Query parameters
+ * @param {string} secret - Signing secret
+ * @returns {string} Base64url encoded HMAC-SHA256
+ */
+function computeSignature(params, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalize(params)).digest('base64url');
+}
+
+/**
+ * Sign parameters with an expiry
+ * @param {object} params - Query parameters to sign
+ * @param {string} secret - Signing secret
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {object} Parameters with expires and token added
+ */
+function signParams(params, secret, expiresIn) {
+  const signed = {
+    ...params,
+    expires: Math.floor(Date.now() / 1000) + expiresIn
+  };
+  signed.token = computeSignature(signed, secret);
+  return signed;
+}
+
+/**
+ * Verify signed parameters
+ * @param {object} params - Query parameters including expires and token
+ * @param {string} secret - Signing secret
+ * @returns {object} Verification result with valid flag and reason
+ */
+function verifyParams(params, secret) {
+  if (!params.token || !params.expires) {
+    return { valid: false, reason: 'Missing token or expires parameter' };
+  }
+
+  const expires = parseInt(params.expires);
+  if (!expires || expires < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'Signed URL has expired' };
+  }
+
+  const expected = Buffer.from(computeSignature(params, secret));
+  const actual = Buffer.from(String(params.token));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  return { valid: true, expiresAt: new Date(expires * 1000) };
+}
+
+/**
+ * Turn signed parameters into a query string
+ * @param {object} params - Signed parameters
+ * @returns {string} Query string without the leading '?'
+ */
+function toQueryString(params) {
+  return canonicalize(params) + `&token=${encodeURIComponent(params.token)}`;
+}
+
+module.exports = {
+  signParams,
+  verifyParams,
+  toQueryString
+};
@@ -0,0 +1,84 @@
+/**
+ * Screenshot Storage
+ * Selects the storage driver configured by STORAGE_TYPE. Every driver
+ * implements init, write, read, delete, stat, list and getUrl.
+ */
+
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+const STORAGE_TYPES = ['local', 's3'];
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Create the storage driver described by the configuration
+ * @param {object} config - Configuration object
+ * @param {object} hooks - Optional hooks
+ * @param {function} hooks.signUrl - Signs links to locally stored files
+ * @returns {object} Storage driver
+ */
+function createStorage(config, hooks = {}) {
+  switch (config.storageType) {
+    case 'local':
+      return createLocalStorage({
+        directory: config.screenshotsDir,
+        publicUrl: config.publicUrl,
+        signUrl: hooks.signUrl
+      });
+    case 's3':
+      return createS3Storage(config.s3);
+    default:
+      throw new Error(`Unsupported storage type: ${config.storageType}`);
+  }
+}
+
+/**
+ * Get the MIME type for a stored file
+ * @param {string} filename - File name
+ * @returns {string} MIME type
+ */
+function getContentType(filename) {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Express handler that serves stored files by name
+ * @param {object} storage - Storage driver
+ * @returns {function} Express request handler for a :filename route
+ */
+function serveStoredFile(storage) {
+  return async function storedFileHandler(req, res, next) {
+    const { filename } = req.params;
+
+    try {
+      const buffer = await storage.read(filename);
+      res.set({
+        'Content-Type': getContentType(filename),
+        'Content-Length': buffer.length,
+        'Cache-Control': 'private, max-age=3600'
+      });
+      res.send(buffer);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid filename')) {
+        return next();
+      }
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  createStorage,
+  getContentType,
+  serveStoredFile
+};
@@ -0,0 +1,92 @@
+/**
+ * Local Disk Storage Driver
+ * Stores screenshots as files in a directory on the server
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Create a local disk storage driver
+ * @param {object} options - Driver options
+ * @param {string} options.directory - Directory files are written to
+ * @param {string} options.publicUrl - Base URL the /screenshots route is reachable at (optional)
+ * @param {function} options.signUrl - Returns a signed query string for a filename (optional)
+ * @returns {object} Storage driver
+ */
+function createLocalStorage(options = {}) {
+  const directory = options.directory;
+  const baseUrl = (options.publicUrl || '').replace(/\/$/, '');
+  const signUrl = options.signUrl;
+
+  if (!directory) {
+    throw new Error('Local storage requires a directory');
+  }
+
+  /**
+   * Resolve a filename inside the storage directory
+   * @param {string} filename - Stored file name
+   * @returns {string} Absolute file path
+   */
+  function resolvePath(filename) {
+    const filepath = path.resolve(directory, filename);
+    if (path.dirname(filepath) !== path.resolve(directory)) {
+      throw new Error(`Invalid filename: ${filename}`);
+    }
+    return filepath;
+  }
+
+  return {
+    type: 'local',
+
+    async init() {
+      await fs.mkdir(directory, { recursive: true });
+    },
+
+    async write(filename, buffer) {
+      await fs.writeFile(resolvePath(filename), buffer);
+      return { filename, bytes: buffer.length };
+    },
+
+    async read(filename) {
+      return fs.readFile(resolvePath(filename));
+    },
+
+    async delete(filename) {
+      await fs.unlink(resolvePath(filename));
+    },
+
+    async stat(filename) {
+      try {
+        const stats = await fs.stat(resolvePath(filename));
+        return { filename, bytes: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async list() {
+      const files = await fs.readdir(directory);
+      const entries = [];
+
+      for (const file of files) {
+        const stats = await fs.stat(path.join(directory, file));
+        if (stats.isFile()) {
+          entries.push({ filename: file, bytes: stats.size, lastModified: stats.mtime });
+        }
+      }
+
+      return entries;
+    },
+
+    async getUrl(filename) {
+      const url = `${baseUrl}/screenshots/${encodeURIComponent(filename)}`;
+      return signUrl ? `${url}?${signUrl(filename)}` : url;
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
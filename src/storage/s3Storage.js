@@ -0,0 +1,177 @@
+/**
+ * S3-Compatible Storage Driver
+ * Stores screenshots in an S3 bucket (AWS, MinIO, R2 and other compatible services)
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Create an S3 storage driver
+ * @param {object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {string} options.endpoint - Custom endpoint for S3-compatible services (optional)
+ * @param {boolean} options.forcePathStyle - Use path-style bucket addressing (optional)
+ * @param {string} options.prefix - Key prefix for stored files (optional)
+ * @param {string} options.publicUrl - Public base URL of the bucket; pre-signed URLs are used when unset
+ * @param {number} options.urlExpiry - Pre-signed URL lifetime in seconds
+ * @returns {object} Storage driver
+ */
+function createS3Storage(options = {}) {
+  if (!options.bucket) {
+    throw new Error('S3 storage requires a bucket');
+  }
+
+  const bucket = options.bucket;
+  const prefix = options.prefix ? options.prefix.replace(/\/?$/, '/') : '';
+  const publicUrl = (options.publicUrl || '').replace(/\/$/, '');
+  const urlExpiry = options.urlExpiry || 3600;
+
+  const clientOptions = {
+    region: options.region || 'us-east-1',
+    forcePathStyle: Boolean(options.forcePathStyle)
+  };
+
+  if (options.endpoint) {
+    clientOptions.endpoint = options.endpoint;
+  }
+
+  if (options.accessKeyId && options.secretAccessKey) {
+    clientOptions.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey
+    };
+  }
+
+  const client = options.client || new S3Client(clientOptions);
+
+  /**
+   * Map a filename to its object key
+   * @param {string} filename - Stored file name
+   * @returns {string} Object key
+   */
+  function toKey(filename) {
+    if (!filename || filename.includes('/')) {
+      throw new Error(`Invalid filename: ${filename}`);
+    }
+    return prefix + filename;
+  }
+
+  /**
+   * Whether an SDK error means the object does not exist
+   * @param {Error} error - SDK error
+   * @returns {boolean} True for not-found errors
+   */
+  function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  return {
+    type: 's3',
+
+    async init() {
+      // Buckets are provisioned outside the API
+    },
+
+    async write(filename, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: toKey(filename),
+        Body: buffer,
+        ContentType: contentType,
+        ContentLength: buffer.length
+      }));
+      return { filename, bytes: buffer.length };
+    },
+
+    async read(filename) {
+      try {
+        const response = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: toKey(filename)
+        }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          const notFound = new Error(`File not found: ${filename}`);
+          notFound.code = 'ENOENT';
+          throw notFound;
+        }
+        throw error;
+      }
+    },
+
+    async delete(filename) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: toKey(filename)
+      }));
+    },
+
+    async stat(filename) {
+      try {
+        const response = await client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: toKey(filename)
+        }));
+        return { filename, bytes: response.ContentLength, lastModified: response.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async list() {
+      const entries = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          entries.push({
+            filename: object.Key.substring(prefix.length),
+            bytes: object.Size,
+            lastModified: object.LastModified
+          });
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return entries;
+    },
+
+    async getUrl(filename) {
+      const key = toKey(filename);
+
+      if (publicUrl) {
+        return `${publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+      }
+
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }), { expiresIn: urlExpiry });
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
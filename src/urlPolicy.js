@@ -0,0 +1,270 @@
+/**
+ * URL Policy
+ * Decides which URLs the capture browser may load. Blocks non-web schemes
+ * and private, loopback and link-local addresses (after DNS resolution)
+ * unless explicitly allowlisted.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses a public capture service should never reach
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-compatible (::a.b.c.d), including :: and ::1
+  ['::', 96],
+  // NAT64, 6to4 and Teredo embed an IPv4 address that may be private
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['2002::', 16],
+  ['2001::', 32],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Sub-resource schemes that never leave the browser
+const INERT_SCHEMES = ['data:', 'blob:', 'about:'];
+
+/**
+ * Normalize an IP address, unwrapping IPv4-mapped IPv6 addresses
+ * @param {string} address - IP address
+ * @returns {object} Address and family ('ipv4' or 'ipv6')
+ */
+function normalizeAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return { address: mapped[1], family: 'ipv4' };
+  }
+
+  // WHATWG URL parsing rewrites ::ffff:10.0.0.1 to ::ffff:a00:1
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return { address: [high >> 8, high & 255, low >> 8, low & 255].join('.'), family: 'ipv4' };
+  }
+  return { address, family: net.isIPv6(address) ? 'ipv6' : 'ipv4' };
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise reserved
+ * @param {string} address - IP address
+ * @returns {boolean} True if blocked
+ */
+function isPrivateAddress(address) {
+  const normalized = normalizeAddress(address);
+  return BLOCKED_RANGES.check(normalized.address, normalized.family);
+}
+
+/**
+ * Compile allowlist/denylist entries into a matcher
+ * Entries may be hostnames (example.com), wildcards (*.example.com),
+ * IP addresses or CIDR ranges (10.0.0.0/8).
+ * @param {array} patterns - List entries
+ * @returns {object} Matcher with matchesHost and matchesAddress methods
+ */
+function compilePatterns(patterns = []) {
+  const hosts = [];
+  const ranges = new net.BlockList();
+  let hasRanges = false;
+
+  for (const raw of patterns) {
+    const pattern = String(raw).trim().toLowerCase();
+    if (!pattern) continue;
+
+    const [address, prefix] = pattern.split('/');
+    if (net.isIP(address)) {
+      const { address: normalized, family } = normalizeAddress(address);
+      const bits = prefix !== undefined ? parseInt(prefix) : (family === 'ipv4' ? 32 : 128);
+      ranges.addSubnet(normalized, bits, family);
+      hasRanges = true;
+    } else {
+      hosts.push(pattern);
+    }
+  }
+
+  return {
+    isEmpty: hosts.length === 0 && !hasRanges,
+
+    matchesHost(hostname) {
+      return hosts.some(pattern => pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.substring(1))
+        : hostname === pattern);
+    },
+
+    matchesAddress(address) {
+      if (!hasRanges) return false;
+      const normalized = normalizeAddress(address);
+      return ranges.check(normalized.address, normalized.family);
+    }
+  };
+}
+
+/**
+ * Create a URL policy
+ * @param {object} options - Policy options
+ * @param {array} options.allowedSchemes - Schemes allowed for navigation, e.g. ['http:', 'https:']
+ * @param {boolean} options.allowPrivate - Allow private and loopback addresses
+ * @param {array} options.allowlist - If non-empty, only matching hosts are allowed
+ * @param {array} options.denylist - Matching hosts are always blocked
+ * @param {function} options.lookup - DNS lookup (hostname) => [{ address }] (optional)
+ * @returns {object} Policy with check, checkRequest, checkConnection and extend methods
+ */
+function createUrlPolicy(options = {}) {
+  const settings = {
+    allowedSchemes: ['http:', 'https:'],
+    allowPrivate: false,
+    allowlist: [],
+    denylist: [],
+    lookup: hostname => dns.lookup(hostname, { all: true, verbatim: true }),
+    ...options
+  };
+
+  const allow = compilePatterns(settings.allowlist);
+  const deny = compilePatterns(settings.denylist);
+
+  // Short-lived DNS cache so sub-resource checks do not resolve every request
+  const resolved = new Map();
+
+  /**
+   * Resolve a hostname to its addresses
+   * @param {string} hostname - Hostname
+   * @returns {Promise<array>} IP addresses
+   */
+  async function resolve(hostname) {
+    const cached = resolved.get(hostname);
+    if (cached && cached.expires > Date.now()) {
+      return cached.addresses;
+    }
+
+    const addresses = (await settings.lookup(hostname)).map(entry => entry.address);
+    resolved.set(hostname, { addresses, expires: Date.now() + 30 * 1000 });
+    return addresses;
+  }
+
+  /**
+   * Check whether a URL may be loaded
+   * Allowed results include the addresses the host resolved to, so a
+   * connection can be made to exactly the addresses that were checked.
+   * @param {string} url - URL to check
+   * @returns {Promise<object>} Result with allowed flag and reason, plus addresses when allowed
+   */
+  async function check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'Invalid URL' };
+    }
+
+    if (!settings.allowedSchemes.includes(parsed.protocol)) {
+      return { allowed: false, reason: `Scheme ${parsed.protocol} is not allowed` };
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (deny.matchesHost(hostname)) {
+      return { allowed: false, reason: `Host ${hostname} is denylisted` };
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = await resolve(hostname);
+      } catch (error) {
+        return { allowed: false, reason: `Could not resolve host ${hostname}` };
+      }
+    }
+
+    if (addresses.some(address => deny.matchesAddress(address))) {
+      return { allowed: false, reason: `Host ${hostname} resolves to a denylisted address` };
+    }
+
+    const allowlisted = allow.matchesHost(hostname) || addresses.every(address => allow.matchesAddress(address));
+
+    if (!allow.isEmpty && !allowlisted) {
+      return { allowed: false, reason: `Host ${hostname} is not on the allowlist` };
+    }
+
+    if (!settings.allowPrivate && !allowlisted && addresses.some(isPrivateAddress)) {
+      return { allowed: false, reason: `Host ${hostname} resolves to a private or reserved address` };
+    }
+
+    return { allowed: true, addresses };
+  }
+
+  /**
+   * Check a request made by the page (navigation, redirect or sub-resource)
+   * @param {string} url - Request URL
+   * @returns {Promise<object>} Result with allowed flag and reason
+   */
+  async function checkRequest(url) {
+    if (INERT_SCHEMES.some(scheme => url.startsWith(scheme))) {
+      return { allowed: true };
+    }
+    return check(url);
+  }
+
+  /**
+   * Check a connection the browser is about to open and pick the address to use
+   * Used by the egress proxy at connect time, after the browser's own request
+   * checks, so a host that re-resolves to a private address is still refused.
+   * @param {string} host - Hostname or IP address, IPv6 optionally in brackets
+   * @param {number} port - Port
+   * @param {string} protocol - Scheme the connection is for, e.g. 'https:'
+   * @returns {Promise<object>} Result with allowed flag and reason, plus address when allowed
+   */
+  async function checkConnection(host, port, protocol = 'https:') {
+    const bare = host.replace(/^\[|\]$/g, '');
+    const authority = net.isIPv6(bare) ? `[${bare}]:${port}` : `${bare}:${port}`;
+    const verdict = await check(`${protocol}//${authority}/`);
+    return verdict.allowed ? { allowed: true, address: verdict.addresses[0] } : verdict;
+  }
+
+  /**
+   * Derive a policy with extra rules, e.g. for a single API key
+   * The key's allowlist replaces the global one; denylists are combined.
+   * @param {object} rules - allowlist and denylist
+   * @returns {object} New policy
+   */
+  function extend(rules = {}) {
+    return createUrlPolicy({
+      ...settings,
+      allowlist: rules.allowlist && rules.allowlist.length > 0 ? rules.allowlist : settings.allowlist,
+      denylist: [...settings.denylist, ...(rules.denylist || [])]
+    });
+  }
+
+  return {
+    check,
+    checkRequest,
+    checkConnection,
+    extend
+  };
+}
+
+module.exports = {
+  createUrlPolicy,
+  isPrivateAddress
+};
@@ -0,0 +1,311 @@
+/**
+ * Usage Accounting and Quotas
+ * Persists per-key daily usage counters (captures, bytes produced, browser
+ * time) and enforces daily and monthly quotas
+ */
+
+const QUOTA_FIELDS = ['dailyCaptures', 'monthlyCaptures', 'dailyBytes', 'monthlyBytes'];
+
+/**
+ * Day bucket key (UTC)
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Seconds until the next UTC day starts
+ * @param {Date} now - Current time
+ * @returns {number} Seconds
+ */
+function secondsUntilNextDay(now) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+/**
+ * Seconds until the next UTC month starts
+ * @param {Date} now - Current time
+ * @returns {number} Seconds
+ */
+function secondsUntilNextMonth(now) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+/**
+ * Create a usage tracker
+ * @param {object} options - Tracker options
+ * @param {object} options.store - JSON store used to persist counters
+ * @param {object} options.defaultQuotas - Quotas for keys without their own (0 = unlimited)
+ * @param {number} options.retentionDays - Days of history kept per key
+ * @returns {object} Tracker with record, getTotals, checkQuota, reserve and getHistory methods
+ */
+function createUsageTracker(options = {}) {
+  const settings = {
+    defaultQuotas: {},
+    retentionDays: 400,
+    ...options
+  };
+  const store = settings.store;
+
+  if (!store) {
+    throw new Error('Usage tracker requires a store');
+  }
+
+  if (!store.data.usage) {
+    store.data.usage = {};
+  }
+
+  /**
+   * Drop day buckets older than the retention window
+   * @param {object} days - Day buckets for one key
+   */
+  function pruneDays(days) {
+    const cutoff = dayKey(new Date(Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000));
+    for (const day of Object.keys(days)) {
+      if (day < cutoff) {
+        delete days[day];
+      }
+    }
+  }
+
+  /**
+   * Add usage for a key
+   * @param {string} keyId - API key ID
+   * @param {object} amounts - captures, bytes and browserMs to add
+   * @param {string} day - Day bucket to add to (defaults to today)
+   */
+  function record(keyId, { captures = 0, bytes = 0, browserMs = 0 }, day = dayKey(new Date())) {
+    const days = store.data.usage[keyId] || (store.data.usage[keyId] = {});
+    const bucket = days[day] || (days[day] = { captures: 0, bytes: 0, browserMs: 0 });
+
+    bucket.captures += captures;
+    bucket.bytes += bytes;
+    bucket.browserMs += browserMs;
+
+    pruneDays(days);
+    store.save();
+  }
+
+  /**
+   * Sum usage for a key over a period
+   * @param {string} keyId - API key ID
+   * @param {string} period - 'day' or 'month'
+   * @returns {object} Totals
+   */
+  function getTotals(keyId, period) {
+    const days = store.data.usage[keyId] || {};
+    const prefix = period === 'month' ? dayKey(new Date()).substring(0, 7) : dayKey(new Date());
+    const totals = { captures: 0, bytes: 0, browserMs: 0 };
+
+    for (const [day, bucket] of Object.entries(days)) {
+      if (day.startsWith(prefix)) {
+        totals.captures += bucket.captures;
+        totals.bytes += bucket.bytes;
+        totals.browserMs += bucket.browserMs;
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Resolve the quotas that apply to a key
+   * @param {object} keyQuotas - Quotas stored on the key (optional)
+   * @returns {object} Effective quotas
+   */
+  function resolveQuotas(keyQuotas = {}) {
+    const quotas = {};
+    for (const field of QUOTA_FIELDS) {
+      quotas[field] = keyQuotas[field] !== undefined ? keyQuotas[field] : (settings.defaultQuotas[field] || 0);
+    }
+    return quotas;
+  }
+
+  /**
+   * Check a key's usage against its quotas
+   * @param {string} keyId - API key ID
+   * @param {object} keyQuotas - Quotas stored on the key (optional)
+   * @returns {object} Quota status per window and whether another capture is allowed
+   */
+  function checkQuota(keyId, keyQuotas) {
+    const now = new Date();
+    const quotas = resolveQuotas(keyQuotas);
+    const daily = getTotals(keyId, 'day');
+    const monthly = getTotals(keyId, 'month');
+
+    const windows = {
+      daily: {
+        captures: { limit: quotas.dailyCaptures, used: daily.captures },
+        bytes: { limit: quotas.dailyBytes, used: daily.bytes },
+        reset: secondsUntilNextDay(now)
+      },
+      monthly: {
+        captures: { limit: quotas.monthlyCaptures, used: monthly.captures },
+        bytes: { limit: quotas.monthlyBytes, used: monthly.bytes },
+        reset: secondsUntilNextMonth(now)
+      }
+    };
+
+    let retryAfter = 0;
+    const exceeded = [];
+
+    for (const [name, window] of Object.entries(windows)) {
+      for (const metric of ['captures', 'bytes']) {
+        const { limit, used } = window[metric];
+        if (limit > 0 && used >= limit) {
+          exceeded.push(`${name} ${metric}`);
+          retryAfter = Math.max(retryAfter, window.reset);
+        }
+      }
+    }
+
+    return {
+      allowed: exceeded.length === 0,
+      exceeded,
+      retryAfter,
+      windows
+    };
+  }
+
+  /**
+   * Check a key's quota and count one capture against it in the same step
+   * Concurrent requests each see the captures reserved before them, so they
+   * cannot all pass the check and overshoot the quota together.
+   * @param {string} keyId - API key ID
+   * @param {object} keyQuotas - Quotas stored on the key (optional)
+   * @returns {object} { status, reservation }; reservation is null when over quota
+   */
+  function reserve(keyId, keyQuotas) {
+    const before = checkQuota(keyId, keyQuotas);
+    if (!before.allowed) {
+      return { status: before, reservation: null };
+    }
+
+    const day = dayKey(new Date());
+    let settled = false;
+    record(keyId, { captures: 1 }, day);
+
+    const reservation = {
+      /**
+       * Replace the reserved capture with the usage that actually happened
+       * @param {object} amounts - captures, bytes and browserMs to add
+       */
+      commit(amounts) {
+        if (settled) return;
+        settled = true;
+        record(keyId, { captures: -1 }, day);
+        record(keyId, amounts);
+      },
+
+      /**
+       * Give the reserved capture back, for requests that never ran
+       */
+      refund() {
+        if (settled) return;
+        settled = true;
+        record(keyId, { captures: -1 }, day);
+      }
+    };
+
+    return { status: checkQuota(keyId, keyQuotas), reservation };
+  }
+
+  /**
+   * Get usage history for a key
+   * @param {string} keyId - API key ID
+   * @param {object} range - from and to dates (YYYY-MM-DD) and granularity ('day' or 'month')
+   * @returns {array} Usage per day or month, oldest first
+   */
+  function getHistory(keyId, { from, to, granularity = 'day' } = {}) {
+    const days = store.data.usage[keyId] || {};
+    const buckets = {};
+
+    for (const [day, bucket] of Object.entries(days)) {
+      if ((from && day < from) || (to && day > to)) continue;
+
+      const period = granularity === 'month' ? day.substring(0, 7) : day;
+      const total = buckets[period] || (buckets[period] = { period, captures: 0, bytes: 0, browserMs: 0 });
+      total.captures += bucket.captures;
+      total.bytes += bucket.bytes;
+      total.browserMs += bucket.browserMs;
+    }
+
+    return Object.values(buckets).sort((a, b) => a.period.localeCompare(b.period));
+  }
+
+  return {
+    record,
+    getTotals,
+    checkQuota,
+    reserve,
+    getHistory
+  };
+}
+
+/**
+ * Set X-Quota-* headers for a quota status
+ * @param {object} res - Express response object
+ * @param {object} status - Result of checkQuota
+ */
+function setQuotaHeaders(res, status) {
+  for (const [name, window] of Object.entries(status.windows)) {
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+    const { limit, used } = window.captures;
+
+    if (limit > 0) {
+      res.set(`X-Quota-${label}-Limit`, String(limit));
+      res.set(`X-Quota-${label}-Remaining`, String(Math.max(0, limit - used)));
+      res.set(`X-Quota-${label}-Reset`, String(window.reset));
+    }
+
+    if (window.bytes.limit > 0) {
+      res.set(`X-Quota-${label}-Bytes-Limit`, String(window.bytes.limit));
+      res.set(`X-Quota-${label}-Bytes-Remaining`, String(Math.max(0, window.bytes.limit - window.bytes.used)));
+    }
+  }
+}
+
+/**
+ * Middleware that rejects requests from keys over quota
+ * Accepted requests get one capture reserved as req.quotaReservation. The
+ * route commits it with the real usage; if the response is an error and the
+ * reservation was not settled, it is refunded.
+ * @param {object} tracker - Usage tracker
+ * @param {function} getKey - Returns { id, quotas } for the request's key
+ * @returns {function} Express middleware
+ */
+function enforceQuota(tracker, getKey) {
+  return function quotaMiddleware(req, res, next) {
+    const key = getKey(req);
+    const { status, reservation } = tracker.reserve(key.id, key.quotas);
+    setQuotaHeaders(res, status);
+
+    if (!reservation) {
+      res.set('Retry-After', String(status.retryAfter));
+      return res.status(429).json({
+        error: 'Quota Exceeded',
+        message: `Quota exceeded: ${status.exceeded.join(', ')}`,
+        retryAfter: status.retryAfter
+      });
+    }
+
+    req.quotaReservation = reservation;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        reservation.refund();
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  QUOTA_FIELDS,
+  createUsageTracker,
+  enforceQuota
+};
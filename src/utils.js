@@ -1,30 +1,44 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { FORMAT_NAMES, validatePdfOptions, validateOutputSize } = require('./formats');
+const { validateRegionOptions } = require('./regions');
+const { validateMaskOptions } = require('./masking');
+const { validateInjectionOptions } = require('./injection');
+const { validateActions } = require('./actions');
+const { validateSessionOptions } = require('./session');
+const { validateDeviceOptions } = require('./devices');
+const { validateMediaOptions } = require('./media');
+const { validateLocaleOptions } = require('./locale');
+const { validateReadinessOptions } = require('./readiness');
+const { validateDeterministicOptions } = require('./deterministic');
+const { validateFullPageOptions } = require('./fullPage');
+const { validateMatchAllOptions } = require('./matchAll');
+
+const SCREENSHOT_PREFIXES = ['screenshot-', 'fullpage-', 'multi-', 'clip-', 'match-'];
+const SCREENSHOT_EXTENSIONS = FORMAT_NAMES.map(format => `.${format}`);
 
 /**
  * Clean up old screenshot files
+ * @param {object} storage - Storage driver holding the screenshots
  * @param {number} maxAgeHours - Maximum age in hours before cleanup
  * @returns {Promise<number>} Number of files deleted
  */
-async function cleanupOldScreenshots(maxAgeHours = 24) {
+async function cleanupOldScreenshots(storage, maxAgeHours = 24) {
   try {
-    const screenshotsDir = path.join(__dirname, '..', 'screenshots');
-    const files = await fs.readdir(screenshotsDir);
+    const files = await storage.list();
     
     let deletedCount = 0;
     const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
     const now = Date.now();
 
     for (const file of files) {
-      if (file.startsWith('screenshot-') && (file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg'))) {
-        const filePath = path.join(screenshotsDir, file);
-        const stats = await fs.stat(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          await fs.unlink(filePath);
-          deletedCount++;
-          console.log(`🗑️ Deleted old screenshot: ${file}`);
-        }
+      const isScreenshot = SCREENSHOT_PREFIXES.some(prefix => file.filename.startsWith(prefix)) &&
+        SCREENSHOT_EXTENSIONS.includes(path.extname(file.filename).toLowerCase());
+
+      if (isScreenshot && now - new Date(file.lastModified).getTime() > maxAge) {
+        await storage.delete(file.filename);
+        deletedCount++;
+        console.log(`🗑️ Deleted old screenshot: ${file.filename}`);
       }
     }
 
@@ -74,10 +88,35 @@ function validateScreenshotOptions(options = {}) {
   const warnings = [];
 
   // Validate format
-  if (options.format && !['png', 'jpeg', 'jpg'].includes(options.format)) {
-    errors.push('Format must be one of: png, jpeg, jpg');
+  if (options.format && !FORMAT_NAMES.includes(options.format)) {
+    errors.push(`Format must be one of: ${FORMAT_NAMES.join(', ')}`);
+  }
+
+  if (options.lossless !== undefined && options.format !== 'webp') {
+    errors.push('lossless is only supported for webp');
+  }
+
+  if (options.pdf !== undefined) {
+    if (options.format !== 'pdf') {
+      errors.push('pdf options require format pdf');
+    }
+    errors.push(...validatePdfOptions(options.pdf));
   }
 
+  errors.push(...validateRegionOptions(options));
+  errors.push(...validateMaskOptions(options));
+  errors.push(...validateInjectionOptions(options));
+  errors.push(...validateActions(options.actions));
+  errors.push(...validateSessionOptions(options));
+  errors.push(...validateDeviceOptions(options));
+  errors.push(...validateMediaOptions(options));
+  errors.push(...validateLocaleOptions(options));
+  errors.push(...validateReadinessOptions(options));
+  errors.push(...validateDeterministicOptions(options));
+  errors.push(...validateFullPageOptions(options));
+  errors.push(...validateMatchAllOptions(options));
+  errors.push(...validateOutputSize(options));
+
   // Validate quality
   if (options.quality && (options.quality < 1 || options.quality > 100)) {
     errors.push('Quality must be between 1 and 100');
@@ -141,10 +180,36 @@ async function getDirectoryStats(dirPath) {
   }
 }
 
+/**
+ * Get statistics for the files in a storage driver
+ * @param {object} storage - Storage driver
+ * @returns {Promise<object>} Storage stats
+ */
+async function getStorageStats(storage) {
+  try {
+    const files = await storage.list();
+    const totalSize = files.reduce((sum, file) => sum + file.bytes, 0);
+
+    return {
+      fileCount: files.length,
+      totalSize: formatFileSize(totalSize),
+      totalSizeBytes: totalSize
+    };
+  } catch (error) {
+    return {
+      fileCount: 0,
+      totalSize: '0 Bytes',
+      totalSizeBytes: 0,
+      error: error.message
+    };
+  }
+}
+
 module.exports = {
   cleanupOldScreenshots,
   formatFileSize,
   generateUniqueFilename,
   validateScreenshotOptions,
-  getDirectoryStats
+  getDirectoryStats,
+  getStorageStats
 };
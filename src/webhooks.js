@@ -0,0 +1,333 @@
+/**
+ * Webhook Delivery
+ * POSTs signed capture results to callback URLs with retries and keeps a
+ * log of every delivery attempt
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Redirect hops followed per attempt, each checked against the URL policy
+const MAX_REDIRECTS = 5;
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Label the anonymous signing secret is derived from, so the master secret is never handed out
+const ANONYMOUS_LABEL = 'anonymous';
+
+/**
+ * Derive the signing secret for an API key
+ * @param {string} masterSecret - Server-wide webhook secret
+ * @param {string} apiKey - Caller's API key (optional)
+ * @returns {string} Hex encoded secret
+ */
+function deriveWebhookSecret(masterSecret, apiKey) {
+  return crypto.createHmac('sha256', masterSecret).update(apiKey || ANONYMOUS_LABEL).digest('hex');
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Signing secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form sha256=<hex>
+ */
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * DNS lookup that always answers with an address that was already checked
+ * @param {string} address - IP address to connect to
+ * @returns {function} Lookup function for http.request
+ */
+function pinnedLookup(address) {
+  const family = net.isIPv6(address) ? 6 : 4;
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
+
+/**
+ * Send one HTTP request without following redirects
+ * The response body is discarded; only the status and headers are kept.
+ * @param {string} url - Request URL
+ * @param {object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {object} options.headers - Request headers
+ * @param {string} options.body - Request body (optional)
+ * @param {number} options.timeout - Time limit in ms for the whole request
+ * @param {string} options.address - Connect to this address instead of resolving the host (optional)
+ * @returns {Promise<object>} { status, headers }
+ */
+function sendRequest(url, { method, headers, body, timeout, address }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const request = transport.request(target, {
+      method,
+      headers,
+      agent: false,
+      lookup: address ? pinnedLookup(address) : undefined
+    }, (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve({ status: response.statusCode, headers: response.headers });
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`Request timed out after ${timeout}ms`));
+    }, timeout);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Create a webhook dispatcher
+ * @param {object} options - Dispatcher options
+ * @param {string} options.secret - Server-wide secret used to derive per-key secrets
+ * @param {number} options.maxAttempts - Delivery attempts before giving up
+ * @param {number} options.baseDelay - First retry delay in ms, doubled on each retry
+ * @param {number} options.timeout - Per-attempt request timeout in ms
+ * @param {number} options.historySize - Number of delivery records kept
+ * @param {object} options.urlPolicy - URL policy redirect targets must pass (optional)
+ * @returns {object} Dispatcher with deliver, getDelivery and listDeliveries methods
+ */
+function createWebhookDispatcher(options = {}) {
+  const settings = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    timeout: 10000,
+    historySize: 500,
+    ...options
+  };
+
+  if (!settings.secret) {
+    throw new Error('Webhook dispatcher requires a secret');
+  }
+
+  const deliveries = new Map();
+
+  /**
+   * Forget the oldest records once the history is full
+   */
+  function trimHistory() {
+    while (deliveries.size > settings.historySize) {
+      const oldestId = deliveries.keys().next().value;
+      deliveries.delete(oldestId);
+    }
+  }
+
+  /**
+   * POST a delivery, following redirects by hand so every hop is checked
+   * Checked hops connect to the address the policy approved, so a host that
+   * re-resolves between the check and the connection (DNS rebinding) cannot
+   * redirect the request. The first hop is only checked for callback URLs
+   * that came from a request.
+   * @param {object} delivery - Delivery record
+   * @returns {Promise<object>} Final response status and headers
+   */
+  async function sendDelivery(delivery) {
+    const policy = delivery.urlPolicy || settings.urlPolicy;
+    let url = delivery.url;
+    let method = 'POST';
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let address;
+      if (policy && (hop > 0 || delivery.urlPolicy)) {
+        const verdict = await policy.check(url);
+        if (!verdict.allowed) {
+          throw new Error(`${hop > 0 ? 'Redirect' : 'Callback URL'} to ${url} blocked: ${verdict.reason}`);
+        }
+        address = verdict.addresses[0];
+      }
+
+      const response = await sendRequest(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'element-screenshot-api-webhook',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': delivery.signature
+        },
+        body: method === 'POST' ? delivery.body : undefined,
+        timeout: settings.timeout,
+        address
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+
+      // Same method changes browsers apply when they follow redirects
+      if (response.status === 303 || ([301, 302].includes(response.status) && method === 'POST')) {
+        method = 'GET';
+      }
+      url = new URL(location, url).href;
+    }
+
+    throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+  }
+
+  /**
+   * Perform a single delivery attempt
+   * @param {object} delivery - Delivery record
+   */
+  async function attemptDelivery(delivery) {
+    const attempt = {
+      attempt: delivery.attempts.length + 1,
+      at: new Date().toISOString(),
+      statusCode: null,
+      error: null,
+      durationMs: 0
+    };
+    const startedAt = Date.now();
+
+    try {
+      const response = await sendDelivery(delivery);
+
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.nextAttemptAt = null;
+      console.log(`📬 Webhook ${delivery.id} delivered to ${delivery.url}`);
+      return;
+    }
+
+    if (delivery.attempts.length >= settings.maxAttempts) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.nextAttemptAt = null;
+      console.error(`❌ Webhook ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+      return;
+    }
+
+    const delay = settings.baseDelay * Math.pow(2, delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`⚠️ Webhook ${delivery.id} attempt ${attempt.attempt} failed (${attempt.error}), retrying in ${delay}ms`);
+
+    const timer = setTimeout(() => attemptDelivery(delivery), delay);
+    timer.unref();
+  }
+
+  /**
+   * Queue a signed webhook delivery
+   * @param {string} url - Callback URL
+   * @param {string} event - Event name
+   * @param {object} payload - JSON payload
+   * @param {object} context - Delivery context
+   * @param {string} context.apiKey - Caller's API key, used for the signing secret
+   * @param {string} context.keyId - ID of the key that owns the delivery
+   * @param {string} context.jobId - Related job ID (optional)
+   * @param {object} context.urlPolicy - Policy the callback URL itself must pass, for URLs from a request (optional)
+   * @returns {object} Delivery record
+   */
+  function deliver(url, event, payload, context = {}) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      event,
+      ...payload
+    });
+
+    const delivery = {
+      id,
+      url,
+      event,
+      jobId: context.jobId || null,
+      owner: context.keyId || ANONYMOUS_LABEL,
+      urlPolicy: context.urlPolicy || null,
+      body,
+      signature: signPayload(deriveWebhookSecret(settings.secret, context.apiKey), body),
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString()
+    };
+
+    deliveries.set(id, delivery);
+    trimHistory();
+    attemptDelivery(delivery);
+
+    return delivery;
+  }
+
+  /**
+   * Look up a delivery by ID
+   * @param {string} id - Delivery ID
+   * @returns {object|undefined} Delivery record
+   */
+  function getDelivery(id) {
+    return deliveries.get(id);
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {object} filter - Optional owner and jobId filters
+   * @returns {array} Delivery records
+   */
+  function listDeliveries(filter = {}) {
+    return Array.from(deliveries.values())
+      .filter(delivery => !filter.owner || delivery.owner === filter.owner)
+      .filter(delivery => !filter.jobId || delivery.jobId === filter.jobId)
+      .reverse();
+  }
+
+  return {
+    deliver,
+    getDelivery,
+    listDeliveries
+  };
+}
+
+/**
+ * Build the public view of a delivery
+ * @param {object} delivery - Delivery record
+ * @returns {object} Serializable delivery summary
+ */
+function serializeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    url: delivery.url,
+    event: delivery.event,
+    jobId: delivery.jobId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt
+  };
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  createWebhookDispatcher,
+  deriveWebhookSecret,
+  serializeDelivery,
+  signPayload
+};
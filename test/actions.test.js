@@ -0,0 +1,55 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateActions, usesPageFunctions } = require('../src/actions');
+
+describe('validateActions', () => {
+  test('accepts a missing or valid list of steps', () => {
+    assert.deepEqual(validateActions(undefined), []);
+    assert.deepEqual(validateActions([
+      { type: 'click', selector: '#open' },
+      { type: 'fill', selector: 'input[name=q]', value: 'shoes', timeout: 1 },
+      { type: 'waitForTimeout', ms: 0 },
+      { type: 'waitForSelector', selector: 'text=Results', timeout: 60000 }
+    ]), []);
+  });
+
+  test('rejects non-arrays and overlong lists', () => {
+    assert.deepEqual(validateActions({ type: 'click' }), ['actions must be an array']);
+    assert.deepEqual(validateActions(new Array(51).fill({ type: 'scroll' })), ['actions may contain at most 50 steps']);
+  });
+
+  test('rejects unknown types and missing fields', () => {
+    const errors = validateActions([{ type: 'drag' }, { type: 'type', selector: '#q' }]);
+
+    assert.match(errors[0], /^actions\[0\]\.type must be one of: click, /);
+    assert.equal(errors[1], 'actions[1] (type) requires text');
+  });
+
+  test('rejects a timeout of 0, which would wait forever', () => {
+    assert.deepEqual(validateActions([{ type: 'click', selector: '#a', timeout: 0 }]), [
+      'actions[0].timeout must be between 1 and 60000ms'
+    ]);
+  });
+
+  test('rejects timeouts and waits outside the allowed range', () => {
+    assert.deepEqual(validateActions([
+      { type: 'click', selector: '#a', timeout: 60001 },
+      { type: 'click', selector: '#a', timeout: '500' },
+      { type: 'waitForTimeout', ms: -1 },
+      { type: 'waitForTimeout', ms: 60001 }
+    ]), [
+      'actions[0].timeout must be between 1 and 60000ms',
+      'actions[1].timeout must be between 1 and 60000ms',
+      'actions[2].ms must be between 0 and 60000',
+      'actions[3].ms must be between 0 and 60000'
+    ]);
+  });
+});
+
+describe('usesPageFunctions', () => {
+  test('detects waitForFunction steps', () => {
+    assert.equal(usesPageFunctions([{ type: 'click', selector: '#a' }]), false);
+    assert.equal(usesPageFunctions([{ type: 'waitForFunction', expression: 'window.ready' }]), true);
+    assert.equal(usesPageFunctions(undefined), false);
+  });
+});
@@ -0,0 +1,32 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateOutputSize, getDefaultQuality } = require('../src/formats');
+
+describe('output size validation', () => {
+  test('rejects full-page captures whose maxHeight is too tall once scaled', () => {
+    const errors = validateOutputSize({ format: 'webp', fullPage: true, autoScroll: { maxHeight: 9000 }, deviceScaleFactor: 2 });
+
+    assert.deepEqual(errors, ['autoScroll.maxHeight is 18000 device pixels but webp images can be at most 16383; use png or jpeg']);
+  });
+
+  test('rejects viewports too large for the format', () => {
+    assert.equal(validateOutputSize({ format: 'avif', viewport: { width: 1000, height: 5000, deviceScaleFactor: 4 } }).length, 1);
+  });
+
+  test('uses the device pixel ratio when no scale factor is given', () => {
+    assert.equal(validateOutputSize({ format: 'webp', device: 'iPhone 12', fullPage: true, autoScroll: { maxHeight: 6000 } }).length, 1);
+    assert.deepEqual(validateOutputSize({ format: 'webp', device: 'iPhone 12', fullPage: true, autoScroll: { maxHeight: 5000 } }), []);
+  });
+
+  test('leaves formats without a size limit and viewport-only autoScroll alone', () => {
+    assert.deepEqual(validateOutputSize({ format: 'png', fullPage: true, autoScroll: { maxHeight: 90000 } }), []);
+    assert.deepEqual(validateOutputSize({ format: 'webp', autoScroll: { maxHeight: 90000 } }), []);
+  });
+});
+
+describe('default quality', () => {
+  test('uses the format default, then the fallback', () => {
+    assert.equal(getDefaultQuality('avif', 80), 50);
+    assert.equal(getDefaultQuality('jpeg', 80), 80);
+  });
+});
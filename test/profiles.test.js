@@ -0,0 +1,103 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createProfileStore, serializeProfile } = require('../src/profiles');
+
+const SECRET = 'profile-secret';
+
+const RECIPE = [
+  { type: 'fill', selector: '#email', value: 'bot@example.com' },
+  { type: 'type', selector: '#password', text: 'hunter2' },
+  { type: 'click', selector: 'button' }
+];
+
+/**
+ * In-memory stand-in for a JSON store
+ * @param {object} data - Initial data
+ * @returns {object} Store with data and a save counter
+ */
+function createMemoryStore(data = {}) {
+  const store = { data, saves: 0 };
+  store.save = () => { store.saves++; };
+  return store;
+}
+
+describe('profile store', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('requires a store, a directory and a secret', () => {
+    assert.throws(() => createProfileStore({ store: createMemoryStore(), directory }), /requires a store, a directory and a secret/);
+  });
+
+  test('encrypts typed recipe values and decrypts them for replay', () => {
+    const store = createMemoryStore();
+    const profiles = createProfileStore({ store, directory, secret: SECRET });
+    const profile = profiles.create({ name: 'staging', owner: 'key-a', loginRecipe: RECIPE });
+
+    const stored = JSON.stringify(store.data.profiles[profile.id]);
+    assert.equal(stored.includes('bot@example.com'), false);
+    assert.equal(stored.includes('hunter2'), false);
+    assert.equal(store.data.profiles[profile.id].loginRecipe[2].selector, 'button');
+
+    assert.deepEqual(profiles.getLoginRecipe(profile), RECIPE);
+  });
+
+  test('encrypts recipes replaced by an update', () => {
+    const store = createMemoryStore();
+    const profiles = createProfileStore({ store, directory, secret: SECRET });
+    const profile = profiles.create({ name: 'staging', owner: 'key-a' });
+
+    profiles.update(profile.id, { loginRecipe: RECIPE });
+
+    assert.equal(JSON.stringify(store.data.profiles[profile.id]).includes('hunter2'), false);
+    assert.deepEqual(profiles.getLoginRecipe(profile), RECIPE);
+  });
+
+  test('encrypts plaintext recipes saved before encryption at startup', () => {
+    const store = createMemoryStore({
+      profiles: {
+        old: { id: 'old', name: 'old', owner: 'key-a', loginRecipe: RECIPE.map(step => ({ ...step })) }
+      }
+    });
+    const profiles = createProfileStore({ store, directory, secret: SECRET });
+
+    assert.equal(store.saves, 1);
+    assert.equal(JSON.stringify(store.data.profiles.old).includes('hunter2'), false);
+    assert.deepEqual(profiles.getLoginRecipe(store.data.profiles.old), RECIPE);
+  });
+
+  test('refuses to decrypt recipes saved under another secret', () => {
+    const store = createMemoryStore();
+    const profile = createProfileStore({ store, directory, secret: SECRET })
+      .create({ name: 'staging', owner: 'key-a', loginRecipe: RECIPE });
+
+    const profiles = createProfileStore({ store, directory, secret: 'rotated-secret' });
+    assert.throws(() => profiles.getLoginRecipe(profile), /PROFILE_SECRET changed/);
+  });
+
+  test('keeps profiles of other keys out of reach', () => {
+    const profiles = createProfileStore({ store: createMemoryStore(), directory, secret: SECRET });
+    profiles.create({ name: 'staging', owner: 'key-a' });
+
+    assert.ok(profiles.find('key-a', 'staging'));
+    assert.equal(profiles.find('key-b', 'staging'), null);
+  });
+
+  test('redacts recipe values from API responses', () => {
+    const profiles = createProfileStore({ store: createMemoryStore(), directory, secret: SECRET });
+    const body = serializeProfile(profiles.create({ name: 'staging', owner: 'key-a', loginRecipe: RECIPE }));
+
+    assert.equal(JSON.stringify(body).includes('v1:'), false);
+    assert.equal(body.loginRecipe.some(step => 'sealed' in step), false);
+  });
+});
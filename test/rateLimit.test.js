@@ -0,0 +1,187 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../src/auth');
+const { createMemoryStore } = require('../src/rateLimit/memoryStore');
+const { createRedisStore } = require('../src/rateLimit/redisStore');
+
+/**
+ * In-process stand-in for the ioredis client, covering the sorted set
+ * commands the Redis store sends
+ * @returns {object} Client with multi, zrem, quit and on
+ */
+function createRedisStandIn() {
+  const sets = new Map();
+
+  /**
+   * Get a sorted set as an array of { member, score }, sorted by score
+   * @param {string} key - Redis key
+   * @returns {array} Entries
+   */
+  function entries(key) {
+    if (!sets.has(key)) sets.set(key, []);
+    return sets.get(key);
+  }
+
+  const commands = {
+    zremrangebyscore(key, min, max) {
+      const kept = entries(key).filter(entry => entry.score < min || entry.score > max);
+      const removed = entries(key).length - kept.length;
+      sets.set(key, kept);
+      return removed;
+    },
+    zadd(key, score, member) {
+      const list = entries(key).filter(entry => entry.member !== member);
+      list.push({ member, score: Number(score) });
+      list.sort((a, b) => a.score - b.score);
+      sets.set(key, list);
+      return 1;
+    },
+    zcard(key) {
+      return entries(key).length;
+    },
+    zrange(key, start, stop, withScores) {
+      return entries(key).slice(start, stop + 1)
+        .flatMap(entry => withScores ? [entry.member, String(entry.score)] : [entry.member]);
+    },
+    pexpire() {
+      return 1;
+    },
+    zrem(key, member) {
+      const list = entries(key);
+      sets.set(key, list.filter(entry => entry.member !== member));
+      return list.length - sets.get(key).length;
+    }
+  };
+
+  return {
+    sets,
+    on() {},
+    multi() {
+      const queued = [];
+      const chain = {
+        exec: async () => queued.map(([name, args]) => [null, commands[name](...args)])
+      };
+      for (const name of Object.keys(commands)) {
+        chain[name] = (...args) => {
+          queued.push([name, args]);
+          return chain;
+        };
+      }
+      return chain;
+    },
+    async zrem(key, member) {
+      return commands.zrem(key, member);
+    },
+    async quit() {
+      return 'OK';
+    }
+  };
+}
+
+/**
+ * Minimal Express response that records status, headers and body
+ * @returns {object} Response stand-in
+ */
+function createResponse() {
+  const res = { statusCode: 200, headers: {} };
+  res.set = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+/**
+ * Run a request through the limiter
+ * @param {function} limiter - Rate limit middleware
+ * @param {object} req - Request stand-in
+ * @returns {Promise<object>} Response stand-in, with passed set if next() was called
+ */
+async function runLimiter(limiter, req) {
+  const res = createResponse();
+  await limiter(req, res, () => { res.passed = true; });
+  return res;
+}
+
+describe('rate limiter', () => {
+  test('limits rotating unverified bearer tokens by client IP', async () => {
+    const limiter = createRateLimiter(100, 60000, { store: createMemoryStore(), anonymousMax: 3 });
+    const statuses = [];
+
+    for (let i = 0; i < 5; i++) {
+      const res = await runLimiter(limiter, {
+        ip: '203.0.113.7',
+        headers: { authorization: `Bearer bogus-${i}` }
+      });
+      statuses.push(res.passed ? 200 : res.statusCode);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 429, 429]);
+  });
+
+  test('gives verified keys their own bucket and limit', async () => {
+    const limiter = createRateLimiter(2, 60000, { store: createMemoryStore(), anonymousMax: 1 });
+    const req = { ip: '203.0.113.7', headers: {}, apiKey: { id: 'key-a' } };
+
+    assert.equal((await runLimiter(limiter, { ip: '203.0.113.7', headers: {} })).passed, true);
+    assert.equal((await runLimiter(limiter, req)).passed, true);
+    assert.equal((await runLimiter(limiter, req)).passed, true);
+
+    const limited = await runLimiter(limiter, req);
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.headers['X-RateLimit-Limit'], '2');
+    assert.ok(Number(limited.headers['Retry-After']) >= 1);
+  });
+
+  test('fails open when the store errors', async () => {
+    const store = { consume: async () => { throw new Error('connection lost'); } };
+    const limiter = createRateLimiter(1, 60000, { store });
+
+    assert.equal((await runLimiter(limiter, { ip: '203.0.113.7', headers: {} })).passed, true);
+  });
+});
+
+describe('Redis rate limit store', () => {
+  test('allows requests up to the limit within the window', async () => {
+    const client = createRedisStandIn();
+    const store = createRedisStore({ client, prefix: 'test:' });
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await store.consume('ip:203.0.113.7', 3, 60000));
+    }
+
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.count), [1, 2, 3, 3]);
+    assert.ok(results[3].resetMs > 0 && results[3].resetMs <= 60000);
+  });
+
+  test('does not count rejected requests', async () => {
+    const client = createRedisStandIn();
+    const store = createRedisStore({ client, prefix: 'test:' });
+
+    await store.consume('key:a', 1, 60000);
+    await store.consume('key:a', 1, 60000);
+    await store.consume('key:a', 1, 60000);
+
+    assert.equal(client.sets.get('test:key:a').length, 1);
+  });
+
+  test('frees slots once they leave the window', async () => {
+    const client = createRedisStandIn();
+    const store = createRedisStore({ client, prefix: 'test:' });
+
+    client.sets.set('test:key:a', [{ member: 'old', score: Date.now() - 120000 }]);
+
+    const result = await store.consume('key:a', 1, 60000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.count, 1);
+  });
+
+  test('keeps keys separate', async () => {
+    const store = createRedisStore({ client: createRedisStandIn() });
+
+    assert.equal((await store.consume('key:a', 1, 60000)).allowed, true);
+    assert.equal((await store.consume('key:b', 1, 60000)).allowed, true);
+    assert.equal((await store.consume('key:a', 1, 60000)).allowed, false);
+  });
+});
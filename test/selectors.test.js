@@ -0,0 +1,61 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelector, getSelectorError, toQuerySelector } = require('../src/selectors');
+
+describe('CSS selector parsing', () => {
+  const valid = [
+    'h1',
+    '.header > nav a:not(.active)',
+    'ul li:nth-child(2n + 1)',
+    'a[href^="https://" i]',
+    'div:has(> img), section',
+    '#\\31 23',
+    '.\\31 a2b3c',
+    '#\\000031 23 > p',
+    '.a\\:b',
+    '.\\@media'
+  ];
+
+  for (const selector of valid) {
+    test(`accepts ${selector}`, () => {
+      assert.equal(getSelectorError(selector), null);
+    });
+  }
+
+  test('reads a hex escape and the whitespace ending it as part of the identifier', () => {
+    assert.equal(getSelectorError('#\\31 23'), null);
+    assert.match(getSelectorError('#\\31  23'), /Unexpected|Expected/);
+  });
+
+  test('reports syntax errors with their position', () => {
+    assert.equal(getSelectorError('div >'), 'Unexpected end of selector at position 5');
+    assert.equal(getSelectorError('a[title="x]'), 'Unterminated string at position 11');
+    assert.equal(getSelectorError('div\\'), 'Unterminated escape at position 4');
+    assert.match(getSelectorError('p:not('), /Expected|Unexpected/);
+  });
+
+  test('rejects empty selectors', () => {
+    assert.equal(getSelectorError('  '), 'Selector must be a non-empty string');
+    assert.equal(getSelectorError('css='), 'css= selector is empty');
+  });
+});
+
+describe('selector engines', () => {
+  test('translates each engine to a Puppeteer query', () => {
+    assert.equal(toQuerySelector('xpath=//h1'), 'xpath///h1');
+    assert.equal(toQuerySelector('text="Sign in"'), 'text/Sign in');
+    assert.equal(toQuerySelector('role=button[name="Checkout"]'), 'aria/[name="Checkout"][role="button"]');
+    assert.equal(toQuerySelector('testid=cart "total"'), '[data-testid="cart \\"total\\""]');
+    assert.equal(toQuerySelector('css=#\\31 23'), '#\\31 23');
+  });
+
+  test('checks XPath brackets and role attributes', () => {
+    assert.match(getSelectorError('xpath=//a[(1]'), /Unexpected "\]"/);
+    assert.match(getSelectorError('role=button[label="x"]'), /only name is supported/);
+    assert.equal(parseSelector('role=link').engine, 'role');
+  });
+
+  test('returns selectors that do not parse unchanged', () => {
+    assert.equal(toQuerySelector('div >'), 'div >');
+  });
+});
@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { signParams, verifyParams, toQueryString } = require('../src/signing');
+const { createShareLinks } = require('../src/shareLinks');
+const { createJsonStore } = require('../src/jsonStore');
+
+const SECRET = 'test-secret';
+
+/**
+ * Parse a query string into an object of strings
+ * @param {string} query - Query string without the leading '?'
+ * @returns {object} Parameters
+ */
+function parseQuery(query) {
+  return Object.fromEntries(new URLSearchParams(query));
+}
+
+describe('URL signing', () => {
+  test('verifies parameters it signed, whatever their order', () => {
+    const signed = signParams({ url: 'https://example.com', selector: 'h1' }, SECRET, 60);
+    const query = parseQuery(toQueryString(signed));
+
+    const verification = verifyParams({ selector: query.selector, ...query }, SECRET);
+    assert.equal(verification.valid, true);
+    assert.equal(verification.expiresAt.getTime(), signed.expires * 1000);
+  });
+
+  test('rejects tampered parameters and foreign secrets', () => {
+    const query = parseQuery(toQueryString(signParams({ url: 'https://example.com' }, SECRET, 60)));
+
+    assert.equal(verifyParams({ ...query, url: 'https://evil.example' }, SECRET).reason, 'Invalid signature');
+    assert.equal(verifyParams(query, 'other-secret').reason, 'Invalid signature');
+    assert.equal(verifyParams({ ...query, token: 'short' }, SECRET).reason, 'Invalid signature');
+  });
+
+  test('rejects expired and incomplete parameters', () => {
+    const expired = signParams({ url: 'https://example.com' }, SECRET, -10);
+    assert.equal(verifyParams(expired, SECRET).reason, 'Signed URL has expired');
+    assert.equal(verifyParams({ url: 'https://example.com' }, SECRET).valid, false);
+  });
+});
+
+describe('share links', () => {
+  let directory;
+  let store;
+  let shareLinks;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'share-links-'));
+    store = createJsonStore(path.join(directory, 'share-links.json'));
+    shareLinks = createShareLinks({ store, secret: SECRET });
+  });
+
+  after(async () => {
+    await store.flush();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('requires a store and a secret', () => {
+    assert.throws(() => createShareLinks({ secret: SECRET }), /require a store and a secret/);
+  });
+
+  test('creates links that verify for their file only', () => {
+    const { link, query } = shareLinks.create('a.png', 60, 'key-a');
+
+    assert.equal(link.owner, 'key-a');
+    assert.equal(shareLinks.verify('a.png', parseQuery(query)).valid, true);
+    assert.equal(shareLinks.verify('b.png', parseQuery(query)).valid, false);
+  });
+
+  test('stops verifying revoked links', () => {
+    const { link, query } = shareLinks.create('a.png', 60, 'key-a');
+
+    assert.equal(shareLinks.revoke(link.id, 'key-b'), null);
+    assert.equal(shareLinks.verify('a.png', parseQuery(query)).valid, true);
+
+    assert.equal(shareLinks.revoke(link.id, 'key-a').revoked, true);
+    assert.equal(shareLinks.verify('a.png', parseQuery(query)).reason, 'Share link has been revoked');
+  });
+
+  test('lists links for their owner only', () => {
+    shareLinks.create('c.png', 60, 'key-c');
+
+    assert.deepEqual(shareLinks.list('key-c').map(link => link.filename), ['c.png']);
+    assert.equal(shareLinks.list('key-b').length, 0);
+  });
+
+  test('tracks which key captured a file', () => {
+    shareLinks.recordFiles(['d.png', 'e.png'], 'key-d');
+
+    assert.equal(shareLinks.ownsFile('d.png', 'key-d'), true);
+    assert.equal(shareLinks.ownsFile('d.png', 'key-e'), false);
+    assert.equal(shareLinks.ownsFile('unknown.png', 'key-d'), false);
+
+    shareLinks.forgetFiles(['d.png']);
+    assert.equal(shareLinks.ownsFile('d.png', 'key-d'), false);
+    assert.equal(shareLinks.ownsFile('e.png', 'key-d'), true);
+  });
+
+  test('prunes ownership records older than the cleanup age', () => {
+    shareLinks.recordFiles(['f.png'], 'key-f');
+
+    assert.equal(shareLinks.pruneFiles(1), 0);
+    assert.ok(shareLinks.pruneFiles(-1) >= 1);
+    assert.equal(shareLinks.ownsFile('f.png', 'key-f'), false);
+  });
+});
@@ -0,0 +1,184 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../src/storage/localStorage');
+const { createS3Storage } = require('../src/storage/s3Storage');
+
+/**
+ * Start an in-memory S3 endpoint with path-style addressing
+ * Supports the PUT, GET, HEAD, DELETE and ListObjectsV2 calls the driver makes.
+ * @returns {Promise<object>} { endpoint, objects, requests, close }
+ */
+function startStubS3() {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = `${bucket}/${decodeURIComponent(rest.join('/'))}`;
+    requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT') {
+        objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'], lastModified: new Date() });
+        return res.writeHead(200, { ETag: '"stub"' }).end();
+      }
+
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const prefix = `${bucket}/${url.searchParams.get('prefix') || ''}`;
+        const contents = Array.from(objects.entries())
+          .filter(([name]) => name.startsWith(prefix))
+          .map(([name, object]) => `<Contents><Key>${name.substring(bucket.length + 1)}</Key><Size>${object.body.length}</Size><LastModified>${object.lastModified.toISOString()}</LastModified></Contents>`)
+          .join('');
+        return res.writeHead(200, { 'Content-Type': 'application/xml' })
+          .end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+      }
+
+      const object = objects.get(key);
+
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return res.writeHead(204).end();
+      }
+
+      if (!object) {
+        return res.writeHead(404, { 'Content-Type': 'application/xml' })
+          .end(req.method === 'HEAD' ? undefined : '<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+
+      res.writeHead(200, {
+        'Content-Type': object.contentType,
+        'Content-Length': object.body.length,
+        'Last-Modified': object.lastModified.toUTCString()
+      });
+      res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('local storage', () => {
+  let directory;
+  let storage;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'screenshots-'));
+    storage = createLocalStorage({
+      directory,
+      publicUrl: 'https://shots.example.com/',
+      signUrl: filename => `token=${filename.length}`
+    });
+    await storage.init();
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('writes, reads, lists and deletes files', async () => {
+    const written = await storage.write('a.png', Buffer.from('png-bytes'));
+    assert.deepEqual(written, { filename: 'a.png', bytes: 9 });
+
+    assert.equal((await storage.read('a.png')).toString(), 'png-bytes');
+    assert.equal((await storage.stat('a.png')).bytes, 9);
+    assert.deepEqual((await storage.list()).map(entry => entry.filename), ['a.png']);
+
+    await storage.delete('a.png');
+    assert.equal(await storage.stat('a.png'), null);
+  });
+
+  test('rejects filenames outside the directory', async () => {
+    await assert.rejects(storage.read('../etc/passwd'), /Invalid filename/);
+    await assert.rejects(storage.write('nested/a.png', Buffer.from('x')), /Invalid filename/);
+  });
+
+  test('builds signed URLs under /screenshots', async () => {
+    assert.equal(await storage.getUrl('a b.png'), 'https://shots.example.com/screenshots/a%20b.png?token=7');
+  });
+});
+
+describe('S3 storage', () => {
+  let stub;
+  let storage;
+
+  before(async () => {
+    stub = await startStubS3();
+    storage = createS3Storage({
+      bucket: 'shots',
+      region: 'us-east-1',
+      endpoint: stub.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'test',
+      secretAccessKey: 'test',
+      prefix: 'captures'
+    });
+    await storage.init();
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  test('requires a bucket', () => {
+    assert.throws(() => createS3Storage({}), /requires a bucket/);
+  });
+
+  test('writes objects under the prefix with their content type', async () => {
+    const written = await storage.write('a.png', Buffer.from('png-bytes'), 'image/png');
+    assert.deepEqual(written, { filename: 'a.png', bytes: 9 });
+
+    const object = stub.objects.get('shots/captures/a.png');
+    assert.equal(object.body.toString(), 'png-bytes');
+    assert.equal(object.contentType, 'image/png');
+  });
+
+  test('reads, stats and lists stored objects', async () => {
+    await storage.write('b.jpg', Buffer.from('jpeg'), 'image/jpeg');
+
+    assert.equal((await storage.read('b.jpg')).toString(), 'jpeg');
+    assert.equal((await storage.stat('b.jpg')).bytes, 4);
+
+    const listed = (await storage.list()).map(entry => entry.filename).sort();
+    assert.deepEqual(listed, ['a.png', 'b.jpg']);
+    assert.ok(stub.requests.some(request => request.query.includes('prefix=captures%2F')));
+  });
+
+  test('maps missing objects to ENOENT and null', async () => {
+    await assert.rejects(storage.read('missing.png'), error => error.code === 'ENOENT');
+    assert.equal(await storage.stat('missing.png'), null);
+  });
+
+  test('deletes objects', async () => {
+    await storage.delete('b.jpg');
+    assert.equal(stub.objects.has('shots/captures/b.jpg'), false);
+  });
+
+  test('rejects filenames with slashes', async () => {
+    await assert.rejects(storage.read('../a.png'), /Invalid filename/);
+  });
+
+  test('returns pre-signed URLs, or public URLs when configured', async () => {
+    const signed = new URL(await storage.getUrl('a.png'));
+    assert.equal(signed.pathname, '/shots/captures/a.png');
+    assert.ok(signed.searchParams.get('X-Amz-Signature'));
+
+    const publicStorage = createS3Storage({ bucket: 'shots', prefix: 'captures', publicUrl: 'https://cdn.example.com/' });
+    assert.equal(await publicStorage.getUrl('a b.png'), 'https://cdn.example.com/captures/a%20b.png');
+  });
+});
@@ -0,0 +1,113 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUrlPolicy, isPrivateAddress } = require('../src/urlPolicy');
+
+// Fixed DNS answers so the tests never leave the machine
+const DNS = {
+  'public.example': ['93.184.216.34'],
+  'internal.example': ['10.0.0.5'],
+  'mixed.example': ['93.184.216.34', '127.0.0.1'],
+  'cdn.example.com': ['93.184.216.35']
+};
+
+/**
+ * Create a policy that resolves hostnames from the DNS table
+ * @param {object} options - Extra policy options
+ * @returns {object} URL policy
+ */
+function createPolicy(options = {}) {
+  return createUrlPolicy({
+    lookup: async (hostname) => {
+      if (!DNS[hostname]) throw new Error(`ENOTFOUND ${hostname}`);
+      return DNS[hostname].map(address => ({ address }));
+    },
+    ...options
+  });
+}
+
+describe('isPrivateAddress', () => {
+  const blocked = [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1',
+    '::ffff:127.0.0.1', '::ffff:a00:1',
+    '::7f00:1', '2002:7f00:1::', '64:ff9b::a00:1', '2001:0:4136:e378:8000:63bf:3fff:fdd2'
+  ];
+
+  for (const address of blocked) {
+    test(`blocks ${address}`, () => {
+      assert.equal(isPrivateAddress(address), true);
+    });
+  }
+
+  test('allows public addresses', () => {
+    assert.equal(isPrivateAddress('93.184.216.34'), false);
+    assert.equal(isPrivateAddress('2606:4700::1'), false);
+  });
+});
+
+describe('URL policy', () => {
+  test('rejects schemes outside the allowed list and invalid URLs', async () => {
+    const policy = createPolicy();
+
+    assert.match((await policy.check('file:///etc/passwd')).reason, /Scheme file: is not allowed/);
+    assert.equal((await policy.check('not a url')).reason, 'Invalid URL');
+  });
+
+  test('allows public hosts and returns the checked addresses', async () => {
+    assert.deepEqual(await createPolicy().check('https://public.example/page'), {
+      allowed: true,
+      addresses: ['93.184.216.34']
+    });
+  });
+
+  test('blocks hosts that resolve to any private address', async () => {
+    const policy = createPolicy();
+
+    assert.equal((await policy.check('http://internal.example/')).allowed, false);
+    assert.equal((await policy.check('http://mixed.example/')).allowed, false);
+    assert.equal((await policy.check('http://unknown.example/')).reason, 'Could not resolve host unknown.example');
+  });
+
+  test('blocks private IP literals, including IPv6 forms embedding IPv4', async () => {
+    const policy = createPolicy();
+
+    for (const url of ['http://127.0.0.1/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://[::127.0.0.1]/', 'http://[2002:7f00:1::]/']) {
+      assert.equal((await policy.check(url)).allowed, false, url);
+    }
+  });
+
+  test('allows private addresses when configured', async () => {
+    assert.equal((await createPolicy({ allowPrivate: true }).check('http://internal.example/')).allowed, true);
+  });
+
+  test('applies allowlists and denylists by host, wildcard and CIDR', async () => {
+    const policy = createPolicy({ allowlist: ['*.example.com', '10.0.0.0/8'], denylist: ['evil.example.com'] });
+
+    assert.equal((await policy.check('https://cdn.example.com/')).allowed, true);
+    assert.equal((await policy.check('https://internal.example/')).allowed, true);
+    assert.match((await policy.check('https://public.example/')).reason, /not on the allowlist/);
+    assert.match((await policy.check('https://evil.example.com/')).reason, /denylisted/);
+  });
+
+  test('lets inert sub-resource schemes through', async () => {
+    const policy = createPolicy();
+
+    assert.equal((await policy.checkRequest('data:text/plain,hi')).allowed, true);
+    assert.equal((await policy.checkRequest('http://internal.example/')).allowed, false);
+  });
+
+  test('checks connections and returns the address to connect to', async () => {
+    const policy = createPolicy();
+
+    assert.deepEqual(await policy.checkConnection('public.example', 443), { allowed: true, address: '93.184.216.34' });
+    assert.equal((await policy.checkConnection('[::1]', 443)).allowed, false);
+    assert.equal((await policy.checkConnection('internal.example', 80, 'http:')).allowed, false);
+  });
+
+  test('extends with per-key rules', async () => {
+    const policy = createPolicy({ denylist: ['public.example'] }).extend({ denylist: ['cdn.example.com'] });
+
+    assert.equal((await policy.check('https://public.example/')).allowed, false);
+    assert.equal((await policy.check('https://cdn.example.com/')).allowed, false);
+  });
+});
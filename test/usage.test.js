@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createUsageTracker, enforceQuota } = require('../src/usage');
+
+/**
+ * Create a usage tracker backed by an in-memory store
+ * @param {object} defaultQuotas - Quotas for every key
+ * @returns {object} Usage tracker
+ */
+function createTracker(defaultQuotas) {
+  return createUsageTracker({
+    store: { data: {}, save() {} },
+    defaultQuotas
+  });
+}
+
+/**
+ * Minimal Express response that records its status and emits finish
+ * @returns {object} Response stand-in
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.emit('finish'); return res; };
+  return res;
+}
+
+describe('quota reservations', () => {
+  test('counts each reservation before the next check', () => {
+    const tracker = createTracker({ dailyCaptures: 2 });
+
+    const first = tracker.reserve('key', {});
+    const second = tracker.reserve('key', {});
+    const third = tracker.reserve('key', {});
+
+    assert.ok(first.reservation);
+    assert.ok(second.reservation);
+    assert.equal(third.reservation, null);
+    assert.deepEqual(third.status.exceeded, ['daily captures']);
+  });
+
+  test('commits the real usage in place of the reserved capture', () => {
+    const tracker = createTracker({ dailyCaptures: 5 });
+    const { reservation } = tracker.reserve('key', {});
+
+    reservation.commit({ captures: 3, bytes: 100, browserMs: 50 });
+    reservation.commit({ captures: 3, bytes: 100, browserMs: 50 });
+
+    assert.deepEqual(tracker.getTotals('key', 'day'), { captures: 3, bytes: 100, browserMs: 50 });
+  });
+
+  test('refunds the reserved capture once', () => {
+    const tracker = createTracker({ dailyCaptures: 1 });
+    const { reservation } = tracker.reserve('key', {});
+
+    reservation.refund();
+    reservation.refund();
+
+    assert.equal(tracker.getTotals('key', 'day').captures, 0);
+    assert.ok(tracker.reserve('key', {}).reservation);
+  });
+});
+
+describe('enforceQuota', () => {
+  const middleware = (tracker) => enforceQuota(tracker, () => ({ id: 'key', quotas: {} }));
+
+  test('rejects concurrent requests beyond the quota', () => {
+    const tracker = createTracker({ dailyCaptures: 1 });
+    let passed = 0;
+
+    const first = createResponse();
+    const second = createResponse();
+    middleware(tracker)({}, first, () => passed++);
+    middleware(tracker)({}, second, () => passed++);
+
+    assert.equal(passed, 1);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.body.error, 'Quota Exceeded');
+  });
+
+  test('refunds the reservation when the request fails', () => {
+    const tracker = createTracker({ dailyCaptures: 1 });
+    const req = {};
+    const res = createResponse();
+
+    middleware(tracker)(req, res, () => res.status(400).json({ error: 'Invalid options' }));
+
+    assert.equal(tracker.getTotals('key', 'day').captures, 0);
+  });
+
+  test('keeps a committed reservation after a successful response', () => {
+    const tracker = createTracker({ dailyCaptures: 1 });
+    const req = {};
+    const res = createResponse();
+
+    middleware(tracker)(req, res, () => {
+      req.quotaReservation.commit({ captures: 1, bytes: 10 });
+      res.json({ success: true });
+    });
+
+    assert.equal(tracker.getTotals('key', 'day').captures, 1);
+  });
+});
@@ -0,0 +1,140 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createWebhookDispatcher, deriveWebhookSecret, signPayload, DELIVERY_STATUS } = require('../src/webhooks');
+
+const SECRET = 'master-secret';
+
+/**
+ * URL policy stand-in that approves hosts from a table and pins them to an address
+ * @param {object} hosts - hostname => address for allowed hosts
+ * @returns {object} Policy with a check method
+ */
+function createPinningPolicy(hosts) {
+  return {
+    async check(url) {
+      const { hostname } = new URL(url);
+      return hosts[hostname]
+        ? { allowed: true, addresses: [hosts[hostname]] }
+        : { allowed: false, reason: `Host ${hostname} is not allowed` };
+    }
+  };
+}
+
+/**
+ * Wait until a delivery has left the pending state
+ * @param {object} dispatcher - Webhook dispatcher
+ * @param {string} id - Delivery ID
+ * @returns {Promise<object>} Delivery record
+ */
+async function waitForDelivery(dispatcher, id) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = dispatcher.getDelivery(id);
+    if (delivery.status !== DELIVERY_STATUS.PENDING) {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Delivery did not finish');
+}
+
+describe('webhook delivery', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    // Keep delivery logs out of the test runner's output
+    mock.method(console, 'log', () => {});
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, path: req.url, host: req.headers.host, headers: req.headers, body });
+
+        if (req.url === '/redirect-private') {
+          return res.writeHead(302, { Location: 'http://internal.example/steal' }).end();
+        }
+        if (req.url === '/redirect-allowed') {
+          return res.writeHead(303, { Location: `http://hooks.example:${port}/final` }).end();
+        }
+        if (req.url === '/fail') {
+          return res.writeHead(500).end('nope');
+        }
+        res.writeHead(200).end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('connects to the address the policy checked and signs the body', async () => {
+    const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 1 });
+    const policy = createPinningPolicy({ 'hooks.example': '127.0.0.1' });
+
+    const delivery = dispatcher.deliver(`http://hooks.example:${port}/hook`, 'capture.succeeded', { files: [] }, {
+      apiKey: 'key-secret',
+      keyId: 'key-a',
+      urlPolicy: policy
+    });
+    const finished = await waitForDelivery(dispatcher, delivery.id);
+
+    assert.equal(finished.status, DELIVERY_STATUS.DELIVERED);
+    assert.equal(finished.owner, 'key-a');
+
+    const request = received.find(entry => entry.path === '/hook');
+    assert.equal(request.host, `hooks.example:${port}`);
+    assert.equal(request.headers['x-webhook-signature'], signPayload(deriveWebhookSecret(SECRET, 'key-secret'), request.body));
+  });
+
+  test('refuses redirects to hosts the policy blocks', async () => {
+    const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 1 });
+    const policy = createPinningPolicy({ 'hooks.example': '127.0.0.1' });
+
+    const delivery = dispatcher.deliver(`http://hooks.example:${port}/redirect-private`, 'capture.succeeded', {}, { urlPolicy: policy });
+    const finished = await waitForDelivery(dispatcher, delivery.id);
+
+    assert.equal(finished.status, DELIVERY_STATUS.FAILED);
+    assert.match(finished.attempts[0].error, /Redirect to http:\/\/internal\.example\/steal blocked/);
+    assert.equal(finished.owner, 'anonymous');
+  });
+
+  test('follows allowed redirects, switching to GET after 303', async () => {
+    const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 1 });
+    const policy = createPinningPolicy({ 'hooks.example': '127.0.0.1' });
+
+    const delivery = dispatcher.deliver(`http://hooks.example:${port}/redirect-allowed`, 'capture.succeeded', {}, { urlPolicy: policy });
+    const finished = await waitForDelivery(dispatcher, delivery.id);
+
+    assert.equal(finished.status, DELIVERY_STATUS.DELIVERED);
+    assert.equal(received.find(entry => entry.path === '/final').method, 'GET');
+  });
+
+  test('refuses callback URLs the policy blocks before connecting', async () => {
+    const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 1 });
+    const policy = createPinningPolicy({});
+
+    const delivery = dispatcher.deliver(`http://127.0.0.1:${port}/blocked`, 'capture.succeeded', {}, { urlPolicy: policy });
+    const finished = await waitForDelivery(dispatcher, delivery.id);
+
+    assert.equal(finished.status, DELIVERY_STATUS.FAILED);
+    assert.equal(received.some(entry => entry.path === '/blocked'), false);
+  });
+
+  test('records receiver errors and gives up after the last attempt', async () => {
+    const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 2, baseDelay: 10 });
+
+    const delivery = dispatcher.deliver(`http://127.0.0.1:${port}/fail`, 'capture.failed', {});
+    const finished = await waitForDelivery(dispatcher, delivery.id);
+
+    assert.equal(finished.status, DELIVERY_STATUS.FAILED);
+    assert.deepEqual(finished.attempts.map(attempt => attempt.statusCode), [500, 500]);
+    assert.equal(finished.attempts[0].error, 'Receiver responded with HTTP 500');
+  });
+});